@@ -8,17 +8,57 @@
 const state = {
     speciesList: [],
     metadata: null,
-    cache: {},        // taxid -> { aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms, genePatterns }
+    cache: {},        // taxid -> { aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms, goIndex, keggIndex, genePatterns, isSnapshot }
     sourceSpecies: null,
     targetSpecies: [],
     genes: [],
+    background: [],       // custom enrichment universe as entered (empty = whole genome)
+    resolvedGenes: [],
+    orthologRows: null,   // per-gene ortholog matches from collectOrthologRows()
+    ppiRows: null,        // per-gene interactions from collectPPIRows()
     scoreThreshold: 700,
+    ppiChannels: null,    // STRING evidence channels (PPINetwork.PPI_CHANNELS keys) scored against the threshold; null = combined score
+    networkDepth: 1,      // PPI network: 1 = query genes and partners, 2 = also the partners' partners
+    networkMaxPartners: 10, // interactors added per query gene and per expansion
+    networkInduced: false,  // also draw every edge among the shown nodes above the threshold
+    networkHubMetric: 'degree', // PPINetwork.NETWORK_METRICS key whose top 20% are hubs
+    networkSizeBy: null,    // NETWORK_METRICS key scaling node size; null = query and hub nodes large
+    networkModules: false,  // detect Louvain modules: colored nodes, hulls, and the Modules table
+    networkExpanded: {},  // pid -> times "expand neighbors" was used on its node
+    _network: null,       // { nodes, edges } last drawn; node positions seed the next layout
+    inputMode: 'list',      // 'list' (over-representation) or 'ranked' (preranked GSEA)
     goEnrichmentResults: null,
     keggEnrichmentResults: null,
+    customEnrichmentResults: null, // enrichment of state.geneSets, when loaded
+    domainEnrichmentResults: null, // enrichment of one other_terms.json category
+    domainCategory: null,   // selected other_terms.json category (null = Pfam-like default)
+    compareResults: null,   // { lists: [{ name, size, go, kegg }] } when the input holds several named lists
+    compareDb: 'go',        // database shown in the Compare Lists tab: 'go' or 'kegg'
+    conservationResults: null, // { species: [{ taxid, mapped, size, go, kegg }] }: orthologs enriched in each target
+    conservationDb: 'go',   // database shown in the Conservation tab
+    geneSets: null,         // { file, sets: [{ term, description, genes: [] }] } from a GMT/TSV file
+    gseaResults: null,      // { go, kegg } from runGSEAAsync() in ranked mode
+    gseaSelected: {},       // type -> term shown in the running-score plot
+    pAdjust: 'BH',          // multiple-testing correction (Enrichment.P_ADJUST_METHODS key)
+    testAlternative: 'greater', // Fisher test tail: 'greater' (enrichment), 'less' (depletion), 'two-sided'
     enrichmentPlotType: 'bar',
+    enrichmentTopN: {},     // type -> Top-N shown in plot and table
+    enrichmentPalette: {},  // type -> palette name
+    goPropagate: true,      // propagate GO annotations up is_a/part_of before testing
+    goMethod: 'classic',    // GO test: 'classic', or decorrelation 'elim' (topGO) / 'childRemoval'
+    goView: 'full',         // 'full' or 'reduced' (semantic-similarity representatives)
+    goReduce: { measure: 'lin', threshold: 0.7 },
+    filters: null,          // result filters shared by the over-representation tabs (see loadResultFilters())
+    emap: { measure: 'jaccard', cutoff: 0.25 }, // enrichment map edges: Plots.EMAP_MEASURES key and similarity cutoff
+    enrichmentSelected: {}, // type -> term picked in a plot or the table, highlighted with its genes
+    _goReduced: null,       // { result, key, list } cache for getDisplayedResults()
+    goDag: null,
+    activeTab: 'aliases',
+    analysisRunning: false,
     phylogenyData: null,
     _orthogroupData: null,
     _orthoLoadFailed: false,
+    _goDagLoadFailed: false,
 };
 window.state = state;
 
@@ -29,6 +69,8 @@ const $$ = (sel) => document.querySelectorAll(sel);
 const els = {
     sourceSelect: $('#source-species'),
     geneInput: $('#gene-input'),
+    inputMode: $('#input-mode'),
+    backgroundInput: $('#background-input'),
     autoDetectHint: $('#auto-detect-hint'),
     targetList: $('#target-species-list'),
     scoreSlider: $('#score-threshold'),
@@ -40,6 +82,8 @@ const els = {
     loadingText: $('#loading-text'),
     themeToggle: $('#theme-toggle'),
     aboutBtn: $('#about-btn'),
+    shareBtn: $('#share-btn'),
+    sessionSelect: $('#session-select'),
     dbModal: $('#db-modal'),
     dbVersionList: $('#db-version-list'),
 };
@@ -60,19 +104,31 @@ async function fetchJSON(path) {
 }
 
 async function loadSpeciesData(taxid) {
-    if (state.cache[taxid]) return state.cache[taxid];
+    // Snapshots from an imported project only cover the project's genes
+    if (state.cache[taxid] && !state.cache[taxid].isSnapshot) return state.cache[taxid];
     showLoading(`Loading ${getSpeciesName(taxid)} data...`);
 
     const base = `data/${taxid}`;
-    const [aliases, nameLookup, ppi, info, go, kegg, keggPathways, otherTerms] = await Promise.all([
+    const [aliases, nameLookup, ppi, info, kegg, otherTerms, goIndex, keggIndex] = await Promise.all([
         fetchJSON(`${base}/aliases.json`),
         fetchJSON(`${base}/name_lookup.json`),
         fetchJSON(`${base}/ppi.json`),
         fetchJSON(`${base}/info.json`),
-        fetchJSON(`${base}/go.json`),
         fetchJSON(`${base}/kegg_enrichment.json`),
-        fetchJSON(`${base}/kegg_pathways.json`),
         fetchJSON(`${base}/other_terms.json`),
+        // Precomputed enrichment backgrounds (optional; built on the fly when absent)
+        fetchJSON(`${base}/go_index.json`),
+        fetchJSON(`${base}/kegg_index.json`),
+    ]);
+
+    // The indexes hold the same annotations as go.json / kegg_pathways.json, so the raw files
+    // are only downloaded for species without a (valid) index
+    const { decodeBackgroundIndex, goDataFromBackground, keggPathwaysFromBackground } = window.Enrichment;
+    const goBg = decodeBackgroundIndex(goIndex);
+    const keggBg = decodeBackgroundIndex(keggIndex);
+    const [go, keggPathways] = await Promise.all([
+        goBg ? goDataFromBackground(goBg) : fetchJSON(`${base}/go.json`),
+        keggBg ? keggPathwaysFromBackground(keggBg) : fetchJSON(`${base}/kegg_pathways.json`),
     ]);
 
     state.cache[taxid] = {
@@ -84,6 +140,8 @@ async function loadSpeciesData(taxid) {
         kegg: kegg || {},
         keggPathways: keggPathways || { pathways: {}, gene_pathways: {} },
         otherTerms: otherTerms || {},
+        goIndex,
+        keggIndex,
     };
     return state.cache[taxid];
 }
@@ -134,7 +192,7 @@ function detectSpeciesFromInput(input) {
     input = input.trim();
     if (!input) return null;
 
-    const geneSample = input.split(/[,\n\r\s]+/).filter(Boolean).slice(0, 5);
+    const geneSample = input.split(/[,\n\r\s]+/).filter(g => g && !g.startsWith('>')).slice(0, 5);
     if (geneSample.length === 0) return null;
 
     // Common Fusarium gene prefixes (inferred)
@@ -208,6 +266,39 @@ function truncate(str, max) {
     return str.slice(0, Math.max(0, max - 1)) + '…';
 }
 
+/** Split pasted or uploaded text into gene names; delimited files contribute their first column. */
+function parseGeneList(text) {
+    const lines = text.split(/[\n\r]+/);
+    if (lines.some(l => l.includes('\t'))) {
+        return lines.map(l => l.split('\t')[0].trim()).filter(Boolean);
+    }
+    return text.split(/[,\n\r]+/).map(g => g.trim()).filter(Boolean);
+}
+
+/**
+ * Split entered genes into named lists: a ">name" entry starts a new list, and genes before
+ * the first one form a list of their own. Lists without genes are dropped.
+ * @param {string[]} genes - entries as in state.genes
+ * @returns {Object[]} [{ name, genes }]
+ */
+function parseNamedLists(genes) {
+    const lists = [];
+    let current = null;
+    for (const entry of genes) {
+        if (entry.startsWith('>')) {
+            current = { name: entry.slice(1).trim() || `List ${lists.length + 1}`, genes: [] };
+            lists.push(current);
+        } else {
+            if (!current) {
+                current = { name: 'Unnamed', genes: [] };
+                lists.push(current);
+            }
+            current.genes.push(entry);
+        }
+    }
+    return lists.filter(l => l.genes.length > 0);
+}
+
 function notFoundSummary(resolvedGenes) {
     const missing = resolvedGenes.filter(g => !g.proteinId).map(g => g.query);
     if (missing.length === 0) return '';
@@ -343,7 +434,7 @@ function applySearchFilter(container, query) {
 
 // ===== Lazy Phylogeny Loading =====
 async function loadPhylogenyData() {
-    if (state.phylogenyData) return state.phylogenyData;
+    if (state.phylogenyData && !state.phylogenyData.isSnapshot) return state.phylogenyData;
     if (state._phyloLoadFailed) return null;
 
     const [orthogroups, meta, taxidNames] = await Promise.all([
@@ -385,7 +476,7 @@ async function loadPhylogenyData() {
 
 // ===== Lazy Orthogroup Loading (for Orthologs tab) =====
 async function loadOrthogroupData() {
-    if (state.phylogenyData) return state.phylogenyData.orthogroups;
+    if (state.phylogenyData && !state.phylogenyData.isSnapshot) return state.phylogenyData.orthogroups;
     if (state._orthogroupData) return state._orthogroupData;
     if (state._orthoLoadFailed) return null;
     try {
@@ -402,24 +493,55 @@ async function loadOrthogroupData() {
     }
 }
 
+// ===== Lazy GO DAG Loading (for annotation propagation) =====
+async function loadGODag() {
+    if (state.goDag) return state.goDag;
+    if (state._goDagLoadFailed) return null;
+    const dag = await fetchJSON('data/go_dag.json');
+    if (!window.Ontology.isValidGODag(dag)) {
+        console.warn('GO DAG not available; GO terms are tested as annotated.');
+        state._goDagLoadFailed = true;
+        return null;
+    }
+    state.goDag = dag;
+    renderDBVersions();
+    return dag;
+}
+
 // ===== Analysis =====
-async function runAnalysis() {
+/**
+ * Run the full analysis from the current form inputs.
+ * @param {Object} [options]
+ * @param {string} [options.initialTab] - tab to show when done (default: Orthologs)
+ * @param {Object} [options.enrichment] - saved { go, kegg } results to show instead of recomputing
+ */
+async function runAnalysis(options = {}) {
     const sourceTaxid = els.sourceSelect.value;
     if (!sourceTaxid) return alert('Please select a source species.');
+    if (els.inputMode.value === 'ranked') return runRankedAnalysis(sourceTaxid, options);
 
     let genes = [];
     const rawGenes = els.geneInput.value.trim();
     if (!rawGenes) return alert('Please enter at least one gene name.');
     genes = rawGenes.split(/[,\n\r]+/).map(g => g.trim()).filter(Boolean);
 
-    if (genes.length === 0) return alert('Please enter valid gene names.');
+    // Named lists (">name" lines) are analysed together as their union and compared in their own tab
+    const queryGenes = genes.some(g => g.startsWith('>'))
+        ? [...new Set(genes.filter(g => !g.startsWith('>')))]
+        : genes;
+    if (queryGenes.length === 0) return alert('Please enter valid gene names.');
 
     const targetTaxids = [...$$('#target-species-list input:checked')].map(cb => cb.value);
+    const background = parseGeneList(els.backgroundInput.value);
 
+    state.inputMode = 'list';
     state.sourceSpecies = sourceTaxid;
     state.genes = genes;
+    state.background = background;
     state.targetSpecies = targetTaxids;
     state.scoreThreshold = parseInt(els.scoreSlider.value);
+    state.analysisRunning = true;
+    resetNetworkLayout();
 
     try {
         showLoading('Loading source species data...');
@@ -435,10 +557,11 @@ async function runAnalysis() {
 
         const orthogroups = await orthoPromise;
 
-        const resolvedGenes = genes.map(gene => ({
+        const resolvedGenes = queryGenes.map(gene => ({
             query: gene,
             proteinId: resolveGene(gene, sourceTaxid),
         }));
+        state.resolvedGenes = resolvedGenes;
 
         showLoading('Building results...');
         await new Promise(r => setTimeout(r, 50));
@@ -448,23 +571,32 @@ async function runAnalysis() {
         buildPPINetwork(resolvedGenes, sourceTaxid);
         buildGOResults(resolvedGenes, sourceTaxid);
         buildKEGGResults(resolvedGenes, sourceTaxid);
+        buildDomainResults(resolvedGenes, sourceTaxid);
 
-        // Enrichment analyses
+        // Enrichment analyses (in a worker; progress feeds the loading overlay)
         showLoading('Running enrichment analysis...');
-        await new Promise(r => setTimeout(r, 50));
 
-        const foundIds = resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId);
-        const data = state.cache[sourceTaxid];
+        const saved = options.enrichment || {};
+        const computed = saved.go && saved.kegg ? {} : await computeEnrichment();
 
         // GO Enrichment
-        const goResult = window.Enrichment.runGOEnrichment(foundIds, data.go);
+        const goResult = saved.go || computed.go;
+        const keggResult = saved.kegg || computed.kegg;
         state.goEnrichmentResults = goResult;
+        state.keggEnrichmentResults = keggResult;
+        state.customEnrichmentResults = saved.go ? saved.custom || computeCustomEnrichment() : computed.custom;
+        state.domainEnrichmentResults = saved.go ? saved.domain || computeDomainEnrichment() : computed.domain;
+        state.compareResults = saved.go ? saved.compare || null : computed.compare;
+        state.conservationResults = saved.go ? saved.conservation || null : computed.conservation;
+        applyPAdjust();
         buildEnrichmentTab('go', goResult, sourceTaxid);
 
         // KEGG Enrichment
-        const keggResult = window.Enrichment.runKEGGEnrichment(foundIds, data.keggPathways, data.aliases, data.info);
-        state.keggEnrichmentResults = keggResult;
         buildEnrichmentTab('kegg', keggResult, sourceTaxid);
+        if (state.customEnrichmentResults) buildEnrichmentTab('custom', state.customEnrichmentResults, sourceTaxid);
+        buildDomainEnrichmentTab();
+        buildCompareTab();
+        buildConservationTab();
 
         // Phylogeny (lazy-load data on first use)
         showLoading('Loading phylogeny data...');
@@ -475,107 +607,620 @@ async function runAnalysis() {
         hideLoading();
         els.resultsPlaceholder.hidden = true;
         els.resultsContent.hidden = false;
-        switchTab('aliases');
+        state.gseaResults = null;
+        setResultTabsMode('list');
+        els.shareBtn.hidden = false;
+        state.analysisRunning = false;
+        switchTab(options.initialTab || 'aliases');
     } catch (err) {
+        state.analysisRunning = false;
         hideLoading();
         console.error('Analysis error:', err);
         alert('Analysis failed: ' + err.message);
     }
 }
 
-// ===== Ortholog Results =====
-function buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups) {
-    const container = $('#tab-aliases');
-    if (targetTaxids.length === 0) {
-        container.innerHTML = '<p class="no-data">Select at least one target species to find cross-species orthologs.</p>';
+/** Run GO/KEGG enrichment for the current resolved genes with the current enrichment options. */
+async function computeEnrichment() {
+    const sourceTaxid = state.sourceSpecies;
+    const foundIds = state.resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId);
+
+    const backgroundIds = resolveBackground(sourceTaxid);
+    if (backgroundIds && backgroundIds.length === 0) {
+        throw new Error('none of the background genes could be resolved in the source species');
+    }
+
+    const needsDag = state.goPropagate || state.goMethod !== 'classic' || state.goView === 'reduced';
+    const goDag = needsDag ? await loadGODag() : null;
+    const run = (ids, onProgress) => window.Enrichment.runEnrichmentAsync(sourceTaxid, ids, state.cache[sourceTaxid], onProgress, {
+        background: backgroundIds,
+        goDag,
+        propagate: state.goPropagate,
+        goMethod: state.goMethod,
+        alternative: state.testAlternative,
+    });
+    const result = await run(foundIds, showLoading);
+    return {
+        ...result,
+        custom: computeCustomEnrichment(backgroundIds),
+        domain: computeDomainEnrichment(backgroundIds),
+        compare: await computeListComparison(run),
+        conservation: await computeConservation(goDag),
+    };
+}
+
+/**
+ * GO and KEGG enrichment of the query's orthologs in each target species: every member of a
+ * query gene's NOG orthogroup in the target is included, and tested against the target's whole genome.
+ * @param {Object|null} goDag
+ * @returns {Promise<Object|null>} { species: [{ taxid, mapped (query genes with orthologs), size (target proteins), go, kegg }] },
+ *          or null without target species or orthogroup assignments
+ */
+async function computeConservation(goDag) {
+    const targets = state.targetSpecies.filter(t => t !== state.sourceSpecies && state.cache[t]);
+    const orthogroups = await loadOrthogroupData();
+    const rows = (state.orthologRows || []).filter(e => e.ogId);
+    if (targets.length === 0 || !orthogroups || rows.length === 0) return null;
+
+    const species = [];
+    for (let i = 0; i < targets.length; i++) {
+        const taxid = targets[i];
+        showLoading(`Enriching orthologs in ${getSpeciesName(taxid)} (${i + 1}/${targets.length})...`);
+        const ids = new Set();
+        let mapped = 0;
+        for (const { ogId } of rows) {
+            const members = (orthogroups.og_members[ogId] || []).filter(m => m.species === taxid);
+            if (members.length > 0) mapped++;
+            members.forEach(m => ids.add(ogMemberProteinId(m)));
+        }
+        const { go, kegg } = await window.Enrichment.runEnrichmentAsync(taxid, [...ids], state.cache[taxid], () => {}, {
+            goDag,
+            propagate: state.goPropagate,
+            goMethod: state.goMethod,
+            alternative: state.testAlternative,
+        });
+        species.push({ taxid, mapped, size: ids.size, go, kegg });
+    }
+    return { species };
+}
+
+/**
+ * GO and KEGG enrichment of each named list in the input, for the Compare Lists tab.
+ * @param {Function} run - (proteinIds, onProgress) => Promise<{ go, kegg }>, with the options of the main run
+ * @returns {Promise<Object|null>} { lists: [{ name, size, go, kegg }] }, or null for fewer than two lists
+ */
+async function computeListComparison(run) {
+    const lists = parseNamedLists(state.genes);
+    if (lists.length < 2) return null;
+
+    const compared = [];
+    for (let i = 0; i < lists.length; i++) {
+        const { name, genes } = lists[i];
+        showLoading(`Enriching list ${i + 1}/${lists.length} (${name})...`);
+        const ids = [...new Set(genes.map(g => resolveGene(g, state.sourceSpecies)).filter(Boolean))];
+        const { go, kegg } = await run(ids, () => {});
+        compared.push({ name, size: genes.length, go, kegg });
+    }
+    return { lists: compared };
+}
+
+/** Custom background resolved like the query genes (unresolved names dropped), or undefined for none. */
+function resolveBackground(taxid) {
+    if (state.background.length === 0) return undefined;
+    return [...new Set(state.background.map(g => resolveGene(g, taxid)).filter(Boolean))];
+}
+
+/**
+ * Enrichment of the loaded custom gene sets. Set members are resolved like query genes;
+ * the universe is the custom background, or else the species' whole proteome.
+ * @param {string[]} [backgroundIds] - resolved custom background
+ * @returns {Object|null} { results, stats } or null when no sets are loaded
+ */
+function computeCustomEnrichment(backgroundIds) {
+    if (!state.geneSets) return null;
+    const taxid = state.sourceSpecies;
+    if (!backgroundIds) backgroundIds = resolveBackground(taxid);
+
+    let unresolved = 0;
+    const sets = state.geneSets.sets.map(set => {
+        const members = new Set();
+        for (const gene of set.genes) {
+            const pid = resolveGene(gene, taxid);
+            if (pid) members.add(pid);
+            else unresolved++;
+        }
+        return { term: set.term, description: set.description, members: [...members] };
+    });
+    const universe = backgroundIds || Object.keys(state.cache[taxid].info || {});
+    const bg = window.Enrichment.buildSetBackground(sets, universe, !!backgroundIds);
+    const foundIds = state.resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId);
+    const result = window.Enrichment.runSetEnrichment(foundIds, foundIds.length, bg, state.testAlternative);
+    result.stats.setsLoaded = sets.length;
+    result.stats.unresolvedMembers = unresolved;
+    result.stats.file = state.geneSets.file;
+    return result;
+}
+
+// Preferred default categories of other_terms.json, matched against category names in order
+const DOMAIN_DEFAULT_CATEGORIES = [/pfam/i, /interpro/i, /smart/i, /domain/i];
+
+/**
+ * Enrichment of one term category of other_terms.json (state.domainCategory, or a domain
+ * database by default), using the same test and correction as GO and KEGG.
+ * @param {string[]} [backgroundIds] - resolved custom background
+ * @returns {Object|null} { results, stats: { ..., category, categories } } or null without other_terms.json
+ */
+function computeDomainEnrichment(backgroundIds) {
+    const taxid = state.sourceSpecies;
+    const otherTerms = state.cache[taxid].otherTerms;
+    // Categories and their backgrounds only depend on the species, so both are built once
+    const categories = window.Enrichment.getCachedBackground(`${taxid}:other-categories`,
+        () => window.Enrichment.listTermCategories(otherTerms));
+    if (categories.length === 0) return null;
+    if (!backgroundIds) backgroundIds = resolveBackground(taxid);
+
+    const names = categories.map(c => c.category);
+    let category = names.includes(state.domainCategory) ? state.domainCategory : null;
+    for (const pattern of DOMAIN_DEFAULT_CATEGORIES) {
+        category = category || names.find(n => pattern.test(n));
+    }
+    category = category || names[0];
+    state.domainCategory = category;
+
+    let bg = window.Enrichment.getCachedBackground(`${taxid}:other:${category}`,
+        () => window.Enrichment.buildTermCategoryBackground(otherTerms, category));
+    if (backgroundIds) bg = window.Enrichment.restrictBackground(bg, backgroundIds);
+    const foundIds = state.resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId);
+    const result = window.Enrichment.runSetEnrichment(foundIds, foundIds.length, bg, state.testAlternative);
+    result.stats.category = category;
+    result.stats.categories = categories;
+    return result;
+}
+
+function setDomainCategory(category) {
+    if (blockedBySnapshot('Changing the domain category')) return buildDomainEnrichmentTab();
+    state.domainCategory = category;
+    state.domainEnrichmentResults = computeDomainEnrichment();
+    applyPAdjust();
+    buildDomainEnrichmentTab();
+}
+
+function buildDomainEnrichmentTab() {
+    if (state.domainEnrichmentResults) {
+        buildEnrichmentTab('domain', state.domainEnrichmentResults, state.sourceSpecies);
+    } else {
+        $('#tab-domain-enrichment').innerHTML = '<p class="no-data">No domain or keyword annotations (other_terms.json) for this species.</p>';
+    }
+}
+
+/** Read a GMT/TSV gene set file into state.geneSets. */
+async function loadGeneSetsFile(file) {
+    const sets = window.Enrichment.parseGeneSets(await file.text());
+    if (sets.length === 0) {
+        alert('No gene sets found. Expected GMT (set, description, genes...) or two tab-separated columns (set, gene).');
+        return;
+    }
+    state.geneSets = { file: file.name, sets };
+    updateGeneSetsStatus();
+}
+
+function updateGeneSetsStatus() {
+    const status = $('#gene-sets-status');
+    if (!state.geneSets) {
+        status.textContent = 'No sets loaded';
         return;
     }
+    const genes = state.geneSets.sets.reduce((n, set) => n + set.genes.length, 0);
+    status.textContent = `${state.geneSets.file}: ${state.geneSets.sets.length} sets, ${genes} genes`;
+}
+
+/**
+ * Imported projects hold only their own genes' annotations (see buildSpeciesSnapshot()), and
+ * enrichment backgrounds are cached per species, so enrichment must not run on that data.
+ * @param {string} what - the action that needs the full data, for the message
+ * @returns {boolean} true, after telling the user, when the loaded species data is a snapshot
+ */
+function blockedBySnapshot(what) {
+    const taxids = [state.sourceSpecies, ...state.targetSpecies];
+    if (!taxids.some(t => state.cache[t]?.isSnapshot)) return false;
+    alert(`${what} needs the full species annotations. Re-run the analysis first; an imported project only holds its own genes.`);
+    return true;
+}
+
+/** Re-render the over-representation tabs, e.g. to put their controls back to the current state. */
+function rebuildEnrichmentTabs() {
+    buildEnrichmentTab('go', state.goEnrichmentResults, state.sourceSpecies);
+    buildEnrichmentTab('kegg', state.keggEnrichmentResults, state.sourceSpecies);
+    if (state.customEnrichmentResults) buildEnrichmentTab('custom', state.customEnrichmentResults, state.sourceSpecies);
+    buildDomainEnrichmentTab();
+}
+
+/** Recompute enrichment after an enrichment option changed, keeping the other tabs as they are. */
+async function rerunEnrichment() {
+    if (!state.sourceSpecies || state.analysisRunning) return;
+    if (blockedBySnapshot('Changing enrichment options')) return;
+    state.analysisRunning = true;
+    try {
+        showLoading('Running enrichment analysis...');
+        const { go, kegg, custom, domain, compare, conservation } = await computeEnrichment();
+        state.goEnrichmentResults = go;
+        state.keggEnrichmentResults = kegg;
+        state.customEnrichmentResults = custom;
+        state.domainEnrichmentResults = domain;
+        state.compareResults = compare;
+        state.conservationResults = conservation;
+        applyPAdjust();
+        buildEnrichmentTab('go', go, state.sourceSpecies);
+        buildEnrichmentTab('kegg', kegg, state.sourceSpecies);
+        if (custom) buildEnrichmentTab('custom', custom, state.sourceSpecies);
+        buildDomainEnrichmentTab();
+        buildCompareTab();
+        buildConservationTab();
+        setResultTabsMode('list');
+    } catch (err) {
+        console.error('Enrichment error:', err);
+        alert('Enrichment failed: ' + err.message);
+    } finally {
+        state.analysisRunning = false;
+        hideLoading();
+        updateShareURL();
+    }
+}
+
+function setGOPropagation(enabled) {
+    if (blockedBySnapshot('Changing enrichment options')) return rebuildEnrichmentTabs();
+    state.goPropagate = enabled;
+    rerunEnrichment();
+}
+
+function setGOMethod(method) {
+    if (blockedBySnapshot('Changing enrichment options')) return rebuildEnrichmentTabs();
+    state.goMethod = method;
+    rerunEnrichment();
+}
+
+function setTestAlternative(alternative) {
+    if (blockedBySnapshot('Changing enrichment options')) return rebuildEnrichmentTabs();
+    state.testAlternative = alternative;
+    rerunEnrichment();
+}
+
+const GO_METHOD_LABELS = { classic: 'Classic', elim: 'elim', childRemoval: 'child removal' };
+
+/** Display name of a GO method; 'weight01' is what sessions and links saved before the rename call childRemoval. */
+function goMethodLabel(method) {
+    return GO_METHOD_LABELS[method === 'weight01' ? 'childRemoval' : method] || method;
+}
+
+// Over-representation tabs (#tab-<type>-enrichment): label in messages, plot title
+const ENRICHMENT_TYPES = {
+    go: { label: 'GO', title: 'GO Enrichment' },
+    kegg: { label: 'KEGG', title: 'KEGG Pathway Enrichment' },
+    custom: { label: 'custom set', title: 'Custom Gene Set Enrichment' },
+    domain: { label: 'domain', title: 'Domain Enrichment' },
+};
+
+function getEnrichmentResult(type) {
+    if (type === 'go') return state.goEnrichmentResults;
+    if (type === 'kegg') return state.keggEnrichmentResults;
+    if (type === 'custom') return state.customEnrichmentResults;
+    if (type === 'domain') return state.domainEnrichmentResults;
+    return null;
+}
+
+/** Label and full name of the selected multiple-testing correction. */
+function getPAdjustInfo() {
+    const methods = window.Enrichment.P_ADJUST_METHODS;
+    return methods[state.pAdjust] || methods.BH;
+}
+
+/** Re-adjust every result set's .fdr with the selected correction (results are computed with BH). */
+function applyPAdjust() {
+    const sets = Object.keys(ENRICHMENT_TYPES).map(getEnrichmentResult);
+    if (state.gseaResults) sets.push(state.gseaResults.go, state.gseaResults.kegg);
+    if (state.compareResults) state.compareResults.lists.forEach(l => sets.push(l.go, l.kegg));
+    if (state.conservationResults) state.conservationResults.species.forEach(sp => sets.push(sp.go, sp.kegg));
+    for (const result of sets) {
+        if (!result) continue;
+        window.Enrichment.adjustPValues(result.results, state.pAdjust);
+        result.stats.pAdjust = state.pAdjust;
+    }
+}
+
+function setPAdjust(method) {
+    state.pAdjust = method;
+    applyPAdjust();
+    if (state.inputMode === 'ranked') {
+        buildGSEATab('go');
+        buildGSEATab('kegg');
+    } else {
+        buildEnrichmentTab('go', state.goEnrichmentResults, state.sourceSpecies);
+        buildEnrichmentTab('kegg', state.keggEnrichmentResults, state.sourceSpecies);
+        if (state.customEnrichmentResults) buildEnrichmentTab('custom', state.customEnrichmentResults, state.sourceSpecies);
+        buildDomainEnrichmentTab();
+        buildCompareTab();
+        buildConservationTab();
+    }
+}
+
+function testControlHtml() {
+    return `
+            <div class="control-group">
+                <label>Test:</label>
+                <select class="form-control form-control-sm" style="width: 110px;" onchange="setTestAlternative(this.value)"
+                    title="Fisher's exact test tail: over-representation, under-representation, or both">
+                    ${Object.entries(window.Enrichment.TEST_ALTERNATIVES).map(([a, l]) => `<option value="${a}" ${a === state.testAlternative ? 'selected' : ''}>${l}</option>`).join('')}
+                </select>
+            </div>`;
+}
+
+function pAdjustControlHtml() {
+    return `
+            <div class="control-group">
+                <label>Correction:</label>
+                <select class="form-control form-control-sm" style="width: 130px;" onchange="setPAdjust(this.value)"
+                    title="Multiple-testing correction; BY and Holm/Bonferroni hold under dependence between GO tests">
+                    ${Object.entries(window.Enrichment.P_ADJUST_METHODS).map(([m, info]) => `<option value="${m}" ${m === state.pAdjust ? 'selected' : ''}>${info.name}</option>`).join('')}
+                </select>
+            </div>`;
+}
+
+// REVIGO's allowed-similarity presets
+const GO_REDUCE_THRESHOLDS = { 0.9: 'Large (0.9)', 0.7: 'Medium (0.7)', 0.5: 'Small (0.5)', 0.4: 'Tiny (0.4)' };
+
+// Terms considered for reduction: significant ones, most significant first
+const GO_REDUCE_MAX_TERMS = 500;
+
+async function setGOView(view, measure, threshold) {
+    state.goView = view;
+    if (measure) state.goReduce.measure = measure;
+    if (threshold) state.goReduce.threshold = parseFloat(threshold);
+    if (view === 'reduced') await loadGODag();
+    buildEnrichmentTab('go', state.goEnrichmentResults, state.sourceSpecies);
+}
+
+// ===== Result Filters =====
+const RESULT_FILTERS_KEY = 'gr-enrichment-filters';
+
+// fdr / pValue: cutoffs (≤); minSize / maxSize: annotated background genes (null = no limit);
+// minGenes: query genes in the term (0 by default: the most depleted terms have none); minFold: fold enrichment
+const DEFAULT_RESULT_FILTERS = { fdr: 0.05, pValue: 1, minSize: null, maxSize: null, minGenes: 0, minFold: 0 };
+
+/** The defaults, overridden by the valid values in `values` (from storage, a session or a shared link). */
+function mergeResultFilters(values) {
+    const filters = { ...DEFAULT_RESULT_FILTERS };
+    for (const key of Object.keys(filters)) {
+        if (typeof values[key] === 'number' && Number.isFinite(values[key])) filters[key] = values[key];
+    }
+    return filters;
+}
+
+/** Result filters saved by setResultFilter() in an earlier visit, or the defaults. */
+function loadResultFilters() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(RESULT_FILTERS_KEY) || '{}') || {};
+    } catch (err) {
+        console.warn('Ignoring unreadable saved result filters:', err);
+    }
+    return mergeResultFilters(saved);
+}
+
+/** The filters that differ from the defaults, as kept in sessions, projects and shared links. */
+function changedResultFilters() {
+    return Object.fromEntries(Object.entries(state.filters).filter(([key, v]) => v !== DEFAULT_RESULT_FILTERS[key]));
+}
+
+/** Whether a result passes state.filters; decorrelated GO results are cut on their topGO p-value. */
+function passesResultFilters(r) {
+    const f = state.filters;
+    const p = r.pDecorrelated ?? r.pValue;
+    return r.fdr <= f.fdr
+        && p <= f.pValue
+        && (f.minSize === null || r.bgCount >= f.minSize)
+        && (f.maxSize === null || r.bgCount <= f.maxSize)
+        && r.geneCount >= f.minGenes
+        && r.fold >= f.minFold;
+}
+
+/** Update one filter from its input (empty = default, or no limit for term size) and redraw every result tab. */
+function setResultFilter(key, value) {
+    const n = parseFloat(value);
+    state.filters[key] = Number.isFinite(n) ? n : DEFAULT_RESULT_FILTERS[key];
+    localStorage.setItem(RESULT_FILTERS_KEY, JSON.stringify(state.filters));
+    for (const type of Object.keys(ENRICHMENT_TYPES)) {
+        const result = getEnrichmentResult(type);
+        if (result) buildEnrichmentTab(type, result, state.sourceSpecies);
+    }
+    if (state.gseaResults) {
+        buildGSEATab('go');
+        buildGSEATab('kegg');
+    }
+    buildCompareTab();
+    buildConservationTab();
+    updateShareURL();
+}
+
+function resetResultFilters() {
+    localStorage.removeItem(RESULT_FILTERS_KEY);
+    state.filters = { ...DEFAULT_RESULT_FILTERS };
+    setResultFilter('fdr', DEFAULT_RESULT_FILTERS.fdr);
+}
+
+function filterControlHtml() {
+    const f = state.filters;
+    const input = (key, width, title, placeholder = '') => `<input type="number" class="form-control form-control-sm" style="width: ${width}px;"
+                    value="${f[key] ?? ''}" placeholder="${placeholder}" min="0" step="any" title="${title}" onchange="setResultFilter('${key}', this.value)">`;
+    return `
+            <div class="control-group">
+                <label>Filter:</label>
+                <span class="hint">${getPAdjustInfo().label} ≤</span>${input('fdr', 70, 'Adjusted p-value cutoff')}
+                <span class="hint">P ≤</span>${input('pValue', 70, 'Raw p-value cutoff (decorrelated p-value with elim / child removal)')}
+                <span class="hint">Size</span>${input('minSize', 60, 'Minimum annotated genes in the background', 'min')}
+                <span class="hint">–</span>${input('maxSize', 60, 'Maximum annotated genes in the background', 'max')}
+                <span class="hint">Genes ≥</span>${input('minGenes', 50, 'Minimum query genes in the term')}
+                <span class="hint">Fold ≥</span>${input('minFold', 55, 'Minimum fold enrichment')}
+                <button class="btn btn-sm" onclick="resetResultFilters()" title="Restore the default filters">Reset</button>
+            </div>`;
+}
+
+/** Short description of the filters that differ from a plain significance cutoff, for stats lines. */
+function describeResultFilters() {
+    const f = state.filters;
+    const parts = [];
+    if (f.pValue < 1) parts.push(`p ≤ ${f.pValue}`);
+    if (f.minSize !== null || f.maxSize !== null) parts.push(`size ${f.minSize ?? 1}–${f.maxSize ?? '∞'}`);
+    if (f.minGenes > 0) parts.push(`≥ ${f.minGenes} genes`);
+    if (f.minFold > 0) parts.push(`fold ≥ ${f.minFold}`);
+    return parts.join(', ');
+}
+
+/**
+ * Results shown in the plot, table and CSV: the terms passing the result filters, or for GO in
+ * reduced view their representatives from Ontology.reduceTerms().
+ * @returns {Object} { list, reduced: boolean, note: string|null }
+ */
+function getDisplayedResults(type) {
+    const result = getEnrichmentResult(type);
+    const filtered = result.results.filter(passesResultFilters);
+    if (type !== 'go' || state.goView !== 'reduced') return { list: filtered, reduced: false, note: null };
+
+    if (!result.ic || !state.goDag) {
+        return { list: filtered, reduced: false, note: 'Reduced view needs the GO DAG; showing all terms.' };
+    }
+    const { measure, threshold } = state.goReduce;
+    const key = `${measure}:${threshold}:${state.pAdjust}:${JSON.stringify(state.filters)}`;
+    const cached = state._goReduced;
+    if (cached && cached.result === result && cached.key === key) return { list: cached.list, reduced: true, note: null };
+
+    const pKey = result.stats.method ? 'pDecorrelated' : 'pValue';
+    const significant = filtered.slice(0, GO_REDUCE_MAX_TERMS);
+    const list = window.Ontology.reduceTerms(significant, result.ic, state.goDag, { measure, threshold, pKey });
+    state._goReduced = { result, key, list };
+    return { list, reduced: true, note: null };
+}
+
+// ===== Ortholog Results =====
+function buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups) {
+    state.orthologRows = collectOrthologRows(resolvedGenes, sourceTaxid, targetTaxids, orthogroups);
+    renderOrthologResults(state.orthologRows, resolvedGenes, sourceTaxid, targetTaxids);
+}
 
+/**
+ * Find orthologs (NOG-based, alias fallback) of each resolved gene in each target species.
+ * @returns {Object[]} [{ query, proteinId, name, ogId, targets: [{ taxid, matches: [{ type, proteinId, name, aliases }] }] }]
+ */
+function collectOrthologRows(resolvedGenes, sourceTaxid, targetTaxids, orthogroups) {
     const found = resolvedGenes.filter(g => g.proteinId);
-    let html = '';
+    const sourceData = state.cache[sourceTaxid];
+    const entries = [];
 
     for (const { query, proteinId } of found) {
-        html += `<div class="result-section">`;
-        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
-        const name = getPreferredName(proteinId, sourceTaxid);
-        if (name !== query) html += ` → ${esc(name)}`;
-
         // NOG-based ortholog lookup
         let ogResult = null;
         let ogMembers = [];
         if (orthogroups && window.Phylogeny && window.Phylogeny.findOrthogroup) {
             ogResult = window.Phylogeny.findOrthogroup(proteinId, sourceTaxid, { orthogroups });
-            if (ogResult) {
-                ogMembers = orthogroups.og_members[ogResult.ogId] || [];
-                html += ` <span class="tag tag-nog">${esc(ogResult.ogId)}</span>`;
-            }
+            if (ogResult) ogMembers = orthogroups.og_members[ogResult.ogId] || [];
         }
 
-        html += `</div>`;
-
         // Alias-based search terms (fallback)
-        const sourceData = state.cache[sourceTaxid];
         const sourceAliases = sourceData.aliases?.[proteinId] || [];
         const searchTerms = new Set(sourceAliases.map(a => a.toLowerCase()));
         searchTerms.add(proteinId.toLowerCase());
         const prefName = getPreferredName(proteinId, sourceTaxid);
         if (prefName) searchTerms.add(prefName.toLowerCase());
 
-        html += `<div class="table-responsive"><table class="result-table"><thead><tr>
-      <th>Target Species</th><th>Match Type</th><th>Matching Protein</th><th>Preferred Name</th><th>Aliases</th>
-    </tr></thead><tbody>`;
-
+        const targets = [];
         for (const targetTaxid of targetTaxids) {
             if (targetTaxid === sourceTaxid) continue;
             const targetData = state.cache[targetTaxid];
             if (!targetData || !targetData.nameLookup) continue;
 
-            const targetName = getSpeciesName(targetTaxid);
-            let foundMatch = false;
+            const matches = [];
 
             // PRIMARY: NOG-based ortholog matching
             if (ogResult && ogMembers.length > 0) {
                 const targetMembers = ogMembers.filter(m => m.species === targetTaxid);
                 for (const member of targetMembers.slice(0, 5)) {
-                    const memberPid = member.gene.includes('.')
-                        ? member.gene.split('.').slice(1).join('.')
-                        : member.gene;
-                    const matchName = getPreferredName(memberPid, targetTaxid) || member.name || memberPid;
-                    const matchAliases = (targetData.aliases?.[memberPid] || []).slice(0, 5).join(', ');
-                    html += `<tr>
-              <td>${italicSpeciesName(targetName)}</td>
-              <td><span class="tag tag-nog">Ortholog</span></td>
-              <td><code data-pid="${esc(memberPid)}" data-taxid="${esc(targetTaxid)}">${esc(memberPid)}</code></td>
-              <td data-pid="${esc(memberPid)}" data-taxid="${esc(targetTaxid)}">${esc(matchName)}</td>
-              <td class="alias-text">${esc(matchAliases)}</td>
-            </tr>`;
-                    foundMatch = true;
+                    const memberPid = ogMemberProteinId(member);
+                    matches.push({
+                        type: 'ortholog',
+                        proteinId: memberPid,
+                        name: getPreferredName(memberPid, targetTaxid) || member.name || memberPid,
+                        aliases: (targetData.aliases?.[memberPid] || []).slice(0, 5).join(', '),
+                    });
                 }
             }
 
             // FALLBACK: Alias-based matching (only if no NOG match)
-            if (!foundMatch) {
+            if (matches.length === 0) {
                 for (const term of searchTerms) {
-                    const matches = targetData.nameLookup[term];
-                    if (matches && matches.length > 0) {
-                        for (const matchPid of matches.slice(0, 3)) {
-                            const matchName = getPreferredName(matchPid, targetTaxid);
-                            const matchAliases = (targetData.aliases?.[matchPid] || []).slice(0, 5).join(', ');
-                            html += `<tr>
-              <td>${italicSpeciesName(targetName)}</td>
-              <td><span class="tag tag-alias">Alias</span></td>
-              <td><code data-pid="${esc(matchPid)}" data-taxid="${esc(targetTaxid)}">${esc(matchPid)}</code></td>
-              <td data-pid="${esc(matchPid)}" data-taxid="${esc(targetTaxid)}">${esc(matchName)}</td>
-              <td class="alias-text">${esc(matchAliases)}</td>
-            </tr>`;
-                            foundMatch = true;
+                    const lookup = targetData.nameLookup[term];
+                    if (lookup && lookup.length > 0) {
+                        for (const matchPid of lookup.slice(0, 3)) {
+                            matches.push({
+                                type: 'alias',
+                                proteinId: matchPid,
+                                name: getPreferredName(matchPid, targetTaxid),
+                                aliases: (targetData.aliases?.[matchPid] || []).slice(0, 5).join(', '),
+                            });
                         }
                         break;
                     }
                 }
             }
 
-            if (!foundMatch) {
+            targets.push({ taxid: targetTaxid, matches });
+        }
+
+        entries.push({ query, proteinId, name: prefName, ogId: ogResult ? ogResult.ogId : null, targets });
+    }
+    return entries;
+}
+
+/** Protein ID of an og_members entry ("taxid.proteinId" -> "proteinId"). */
+function ogMemberProteinId(member) {
+    return member.gene.includes('.') ? member.gene.split('.').slice(1).join('.') : member.gene;
+}
+
+function renderOrthologResults(entries, resolvedGenes, sourceTaxid, targetTaxids) {
+    const container = $('#tab-aliases');
+    if (targetTaxids.length === 0) {
+        container.innerHTML = '<p class="no-data">Select at least one target species to find cross-species orthologs.</p>';
+        return;
+    }
+
+    let html = '';
+
+    for (const { query, proteinId, name, ogId, targets } of entries) {
+        html += `<div class="result-section">`;
+        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
+        if (name !== query) html += ` → ${esc(name)}`;
+        if (ogId) html += ` <span class="tag tag-nog">${esc(ogId)}</span>`;
+        html += `</div>`;
+
+        html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Target Species</th><th>Match Type</th><th>Matching Protein</th><th>Preferred Name</th><th>Aliases</th>
+    </tr></thead><tbody>`;
+
+        for (const { taxid: targetTaxid, matches } of targets) {
+            const targetName = getSpeciesName(targetTaxid);
+
+            for (const m of matches) {
+                const tag = m.type === 'ortholog'
+                    ? '<span class="tag tag-nog">Ortholog</span>'
+                    : '<span class="tag tag-alias">Alias</span>';
+                html += `<tr>
+              <td>${italicSpeciesName(targetName)}</td>
+              <td>${tag}</td>
+              <td><code data-pid="${esc(m.proteinId)}" data-taxid="${esc(targetTaxid)}">${esc(m.proteinId)}</code></td>
+              <td data-pid="${esc(m.proteinId)}" data-taxid="${esc(targetTaxid)}">${esc(m.name)}</td>
+              <td class="alias-text">${esc(m.aliases)}</td>
+            </tr>`;
+            }
+
+            if (matches.length === 0) {
                 html += `<tr><td>${italicSpeciesName(targetName)}</td><td colspan="4" class="gene-not-found">No ortholog or alias found</td></tr>`;
             }
         }
@@ -591,50 +1236,110 @@ function buildAliasResults(resolvedGenes, sourceTaxid, targetTaxids, orthogroups
 
 // ===== PPI Results =====
 function buildPPIResults(resolvedGenes, sourceTaxid) {
-    const container = $('#tab-ppi');
     const data = state.cache[sourceTaxid];
-    if (!data || !data.ppi) {
+    state.ppiRows = data && data.ppi ? collectPPIRows(resolvedGenes, sourceTaxid) : null;
+    renderPPIResults(state.ppiRows, resolvedGenes, sourceTaxid);
+}
+
+/**
+ * Collect the top interactions above the score threshold for each resolved gene.
+ * @returns {Object[]} [{ query, proteinId, name, interactions }] — interactions is null when
+ *   the gene has no PPI data at all, [] when none pass the threshold
+ */
+function collectPPIRows(resolvedGenes, sourceTaxid) {
+    const data = state.cache[sourceTaxid];
+    const found = resolvedGenes.filter(g => g.proteinId);
+
+    return found.map(({ query, proteinId }) => {
+        const entry = { query, proteinId, name: getPreferredName(proteinId, sourceTaxid), interactions: null };
+        if (!data.ppi[proteinId]) return entry;
+
+        entry.interactions = data.ppi[proteinId]
+            .map(i => ({ ...i, s: window.PPINetwork.evidenceScore(i, state.ppiChannels), combined: i.s }))
+            .filter(i => i.s >= state.scoreThreshold)
+            .sort((a, b) => b.s - a.s)
+            .slice(0, 30)
+            .map(({ p, s, c, combined }) => ({
+                p,
+                s,
+                ...(c ? { c, combined } : {}),
+                name: getPreferredName(p, sourceTaxid),
+                annotation: data.info?.[p]?.annotation || '',
+            }));
+        return entry;
+    });
+}
+
+/** True when the query genes' interactions carry STRING channel subscores (see scripts/merge-string-channels.js). */
+function ppiHasChannels(taxid) {
+    const ppi = state.cache[taxid]?.ppi;
+    if (!ppi) return false;
+    return state.resolvedGenes.some(g => g.proteinId && ppi[g.proteinId]?.some(i => i.c));
+}
+
+function ppiChannelControlHtml() {
+    const selected = state.ppiChannels || window.PPINetwork.PPI_CHANNELS.map(c => c.key);
+    return `
+            <div class="control-group">
+                <label title="Evidence channels whose subscores are combined into the score compared with the threshold">Evidence:</label>
+                ${window.PPINetwork.PPI_CHANNELS.map(c => `
+                <label title="${esc(c.label)}">
+                    <input type="checkbox" ${selected.includes(c.key) ? 'checked' : ''} onchange="setPPIChannel('${c.key}', this.checked)">
+                    <span style="display:inline-block;width:14px;height:3px;vertical-align:middle;background:${c.color}"></span> ${esc(c.label)}
+                </label>`).join('')}
+            </div>`;
+}
+
+function setPPIChannel(key, checked) {
+    const all = window.PPINetwork.PPI_CHANNELS.map(c => c.key);
+    const selected = new Set(state.ppiChannels || all);
+    if (checked) selected.add(key);
+    else selected.delete(key);
+    if (selected.size > 0) state.ppiChannels = selected.size === all.length ? null : all.filter(k => selected.has(k));
+    buildPPIResults(state.resolvedGenes, state.sourceSpecies);
+    buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
+    updateShareURL();
+}
+
+function renderPPIResults(entries, resolvedGenes, sourceTaxid) {
+    const container = $('#tab-ppi');
+    if (!entries) {
         container.innerHTML = '<p class="no-data">No PPI data available for this species.</p>';
         return;
     }
 
-    const found = resolvedGenes.filter(g => g.proteinId);
-    let html = '';
+    const hasChannels = ppiHasChannels(sourceTaxid);
+    const channels = window.PPINetwork.PPI_CHANNELS;
+    let html = hasChannels ? `<div class="enrichment-controls">${ppiChannelControlHtml()}
+        </div>` : '';
 
-    for (const { query, proteinId } of found) {
+    for (const { query, proteinId, name, interactions } of entries) {
         html += `<div class="result-section">`;
         html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span>`;
-        const name = getPreferredName(proteinId, sourceTaxid);
         if (name !== query) html += ` → ${esc(name)}`;
         html += `</div>`;
 
-        if (!data.ppi[proteinId]) {
+        if (!interactions) {
             html += `<p class="gene-not-found">No interactions found.</p></div>`;
             continue;
         }
 
-        const interactions = data.ppi[proteinId]
-            .filter(i => i.s >= state.scoreThreshold)
-            .sort((a, b) => b.s - a.s)
-            .slice(0, 30);
-
         if (interactions.length === 0) {
             html += `<p class="gene-not-found">No interactions above score threshold ${state.scoreThreshold}.</p></div>`;
             continue;
         }
 
         html += `<div class="table-responsive"><table class="result-table"><thead><tr>
-      <th>Interactor</th><th>Preferred Name</th><th>Score</th><th>Annotation</th>
+      <th>Interactor</th><th>Preferred Name</th><th>Score</th>${hasChannels ? channels.map(c => `<th title="${esc(c.label)} subscore">${c.short}</th>`).join('') : ''}<th>Annotation</th>
     </tr></thead><tbody>`;
 
-        for (const { p, s } of interactions) {
-            const iName = getPreferredName(p, sourceTaxid);
+        for (const { p, s, c, combined, name: iName, annotation } of interactions) {
             const scoreClass = s >= 900 ? 'score-high' : s >= 700 ? 'score-med' : 'score-low';
-            const annotation = data.info?.[p]?.annotation || '';
+            const scoreTitle = c && state.ppiChannels ? ` title="From the selected channels; STRING combined score ${combined}"` : '';
             html += `<tr>
         <td><code data-pid="${esc(p)}" data-taxid="${esc(sourceTaxid)}">${esc(p)}</code></td>
         <td data-pid="${esc(p)}" data-taxid="${esc(sourceTaxid)}">${esc(iName)}</td>
-        <td><span class="score ${scoreClass}">${s}</span></td>
+        <td><span class="score ${scoreClass}"${scoreTitle}>${s}</span></td>${hasChannels ? channels.map((ch, k) => `<td>${c?.[k] || ''}</td>`).join('') : ''}
         <td class="alias-text">${esc(truncate(annotation, 100))}</td>
       </tr>`;
         }
@@ -659,28 +1364,265 @@ function buildPPINetwork(resolvedGenes, sourceTaxid) {
     }
 
     const getNameFn = (pid) => getPreferredName(pid, sourceTaxid);
+    const positions = {};
+    for (const n of state._network?.nodes || []) positions[n.id] = { x: n.x, y: n.y };
+
+    const result = window.PPINetwork.buildPPINetworkSVG(resolvedGenes, data.ppi, data.info, state.scoreThreshold, getNameFn, sourceTaxid, {
+        depth: state.networkDepth,
+        maxPartners: state.networkMaxPartners,
+        induced: state.networkInduced,
+        channels: state.ppiChannels,
+        hubMetric: state.networkHubMetric,
+        sizeBy: state.networkSizeBy,
+        modules: state.networkModules,
+        expanded: state.networkExpanded,
+        positions,
+        onExpand: expandNetworkNode,
+    });
 
-    const result = window.PPINetwork.buildPPINetworkSVG(resolvedGenes, data.ppi, data.info, state.scoreThreshold, getNameFn, sourceTaxid);
-
-    container.innerHTML = '';
+    const metrics = window.PPINetwork.NETWORK_METRICS;
+    container.innerHTML = `
+        <div class="enrichment-controls">
+            <div class="control-group">
+                <label>Depth:</label>
+                <select class="form-control form-control-sm" style="width: 150px;" onchange="setNetworkDepth(this.value)"
+                    title="Second shell adds the strongest partners of each interactor">
+                    <option value="1" ${state.networkDepth === 1 ? 'selected' : ''}>First shell</option>
+                    <option value="2" ${state.networkDepth === 2 ? 'selected' : ''}>Second shell</option>
+                </select>
+            </div>
+            <div class="control-group">
+                <label title="Interactors added per query gene and per expansion">Max partners:</label>
+                <select class="form-control form-control-sm" style="width: 60px;" onchange="setNetworkOption('maxPartners', this.value)">
+                    ${NETWORK_MAX_PARTNERS.map(n => `<option value="${n}" ${n === state.networkMaxPartners ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label title="Add all interactions between the shown proteins above the score threshold, not only those to the query genes">
+                    <input type="checkbox" ${state.networkInduced ? 'checked' : ''} onchange="setNetworkOption('induced', this.checked)">
+                    All edges among nodes
+                </label>
+            </div>
+            <div class="control-group">
+                <label title="Centrality whose top 20% of nodes are marked as hubs">Hubs by:</label>
+                <select class="form-control form-control-sm" style="width: 120px;" onchange="setNetworkOption('hubMetric', this.value)">
+                    ${Object.entries(metrics).map(([m, info]) => `<option value="${m}" ${m === state.networkHubMetric ? 'selected' : ''}>${info.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Node size:</label>
+                <select class="form-control form-control-sm" style="width: 120px;" onchange="setNetworkOption('sizeBy', this.value)">
+                    <option value="" ${!state.networkSizeBy ? 'selected' : ''}>Query / hub</option>
+                    ${Object.entries(metrics).map(([m, info]) => `<option value="${m}" ${m === state.networkSizeBy ? 'selected' : ''}>${info.label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label title="Find densely connected modules (Louvain), color and outline them, and list them for enrichment">
+                    <input type="checkbox" ${state.networkModules ? 'checked' : ''} onchange="setNetworkOption('modules', this.checked)">
+                    Modules
+                </label>
+            </div>${ppiHasChannels(sourceTaxid) ? ppiChannelControlHtml() : ''}
+            <div class="control-group">
+                <span style="font-size:0.8rem;color:var(--text-muted)">Double-click a node to expand its neighbors</span>
+                <button class="btn btn-sm" onclick="resetNetworkLayout(true)" title="Drop expansions and lay the network out again">Reset</button>
+            </div>
+        </div>`;
+    state._network = result ? { nodes: result.nodes, edges: result.edges } : null;
     if (result && result.svg) {
         container.appendChild(result.svg);
 
+        if (state.networkModules) renderModulesTable(result.nodes, container, sourceTaxid, result.modularity);
+
         // Render Hub Genes Table
-        renderHubGenesTable(result.nodes, container, sourceTaxid);
+        renderHubGenesTable(result.nodes, container, sourceTaxid, result.edges, result.truncated);
     } else {
-        container.innerHTML = '<p class="no-data">Not enough interactions to build a network.</p>';
+        container.insertAdjacentHTML('beforeend', '<p class="no-data">Not enough interactions to build a network.</p>');
+    }
+}
+
+function setNetworkDepth(depth) {
+    state.networkDepth = parseInt(depth, 10) === 2 ? 2 : 1;
+    buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
+    updateShareURL();
+}
+
+const NETWORK_MAX_PARTNERS = [5, 10, 20, 30, 50];
+
+function setNetworkOption(key, value) {
+    if (key === 'maxPartners') state.networkMaxPartners = NETWORK_MAX_PARTNERS.includes(+value) ? +value : 10;
+    else if (key === 'induced') state.networkInduced = !!value;
+    else if (key === 'hubMetric') state.networkHubMetric = window.PPINetwork.NETWORK_METRICS[value] ? value : 'degree';
+    else if (key === 'sizeBy') state.networkSizeBy = window.PPINetwork.NETWORK_METRICS[value] ? value : null;
+    else if (key === 'modules') state.networkModules = !!value;
+    buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
+    updateShareURL();
+}
+
+/** Pull the next batch of a node's partners into the network; existing nodes keep their positions. */
+function expandNetworkNode(pid) {
+    const before = state._network;
+    state.networkExpanded[pid] = (state.networkExpanded[pid] || 0) + 1;
+    hideGeneTooltip();
+    buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
+    const after = state._network;
+    if (before && after && after.nodes.length === before.nodes.length && after.edges.length === before.edges.length) {
+        state.networkExpanded[pid]--;
+        if (!state.networkExpanded[pid]) delete state.networkExpanded[pid];
+        alert(after.truncated > 0
+            ? `The network already shows the maximum of ${window.PPINetwork.MAX_NETWORK_NODES} interactors. Lower the depth or max partners to expand further.`
+            : `No further interactions for ${getPreferredName(pid, state.sourceSpecies)} above score threshold ${state.scoreThreshold}.`);
+    }
+}
+
+/** Forget expansions and node positions; with `redraw`, lay the network out again. */
+function resetNetworkLayout(redraw = false) {
+    state.networkExpanded = {};
+    state._network = null;
+    if (redraw) buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
+}
+
+/** Modules from PPINetwork.detectCommunities(), largest first, each with one-click enrichment. */
+function renderModulesTable(nodes, container, taxid, modularity) {
+    const modules = {};
+    for (const n of nodes) (modules[n.module] = modules[n.module] || []).push(n);
+    const listed = Object.entries(modules)
+        .filter(([, members]) => members.length >= window.PPINetwork.MIN_MODULE_SIZE)
+        .map(([module, members]) => ({ module: +module, members }));
+
+    const rows = listed.map(({ module, members }) => `
+                    <tr>
+                        <td><span class="ppi-dot" style="background:${window.PPINetwork.moduleColor(module)}"></span> M${module}</td>
+                        <td>${members.length}</td>
+                        <td>${members.filter(n => n.isQuery).length}</td>
+                        <td>${members.map(n => `<span class="tag" data-pid="${esc(n.id)}" data-taxid="${esc(taxid)}">${esc(getPreferredName(n.id, taxid))}</span>`).join(' ')}</td>
+                        <td>
+                            <div class="btn-group">
+                                <button class="btn btn-sm" onclick="enrichNetworkModule(${module}, 'go')">GO</button>
+                                <button class="btn btn-sm" onclick="enrichNetworkModule(${module}, 'kegg')">KEGG</button>
+                            </div>
+                        </td>
+                    </tr>`).join('');
+
+    const div = document.createElement('div');
+    div.innerHTML = `
+    <div class="mt-4">
+        <h3 class="panel-title" style="font-size: 1rem; margin-bottom: 0.5rem;">Modules</h3>
+        <div class="enrichment-stats">${listed.length} modules of ${window.PPINetwork.MIN_MODULE_SIZE}+ proteins (Louvain, modularity ${modularity.toFixed(3)})</div>
+        <div class="table-responsive">
+            <table class="result-table">
+                <thead>
+                    <tr>
+                        <th>Module</th>
+                        <th data-sort="number">Size</th>
+                        <th data-sort="number">Queries</th>
+                        <th>Members</th>
+                        <th>Enrichment</th>
+                    </tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="5" class="text-muted">No modules with enough members.</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+        <div id="network-module-enrichment"></div>
+    </div>`;
+    container.appendChild(div);
+    div.querySelectorAll('table').forEach(makeTableSortable);
+}
+
+/** GO or KEGG enrichment of one network module, against the same universe as the main analysis. */
+async function enrichNetworkModule(module, db) {
+    const taxid = state.sourceSpecies;
+    const panel = $('#network-module-enrichment');
+    const ids = (state._network?.nodes || []).filter(n => n.module === module).map(n => n.id);
+    if (!panel || ids.length === 0) return;
+    if (blockedBySnapshot('Module enrichment')) return;
+    const backgroundIds = resolveBackground(taxid);
+    if (backgroundIds && backgroundIds.length === 0) return alert('None of the background genes could be resolved in the source species.');
+
+    panel.innerHTML = `<p class="text-muted">Running ${db === 'kegg' ? 'KEGG' : 'GO'} enrichment of module M${module}...</p>`;
+    try {
+        const needsDag = db === 'go' && (state.goPropagate || state.goMethod !== 'classic');
+        const goDag = needsDag ? await loadGODag() : null;
+        const result = (await window.Enrichment.runEnrichmentAsync(taxid, ids, state.cache[taxid], () => {}, {
+            background: backgroundIds,
+            goDag,
+            propagate: state.goPropagate,
+            goMethod: state.goMethod,
+            alternative: state.testAlternative,
+        }))[db];
+        window.Enrichment.adjustPValues(result.results, state.pAdjust);
+        result.stats.pAdjust = state.pAdjust;
+        renderModuleEnrichment(panel, module, db, result, taxid);
+    } catch (err) {
+        console.warn('Module enrichment failed:', err);
+        panel.innerHTML = `<p class="gene-not-found">Enrichment of module M${module} failed: ${esc(err.message)}</p>`;
     }
 }
 
-function renderHubGenesTable(nodes, container, taxid) {
+function renderModuleEnrichment(panel, module, db, result, taxid) {
+    const formatP = (p) => (p < 0.001 ? p.toExponential(2) : p.toFixed(4));
+    const pAdjust = getPAdjustInfo();
+    const list = result.results.filter(passesResultFilters);
+    const extraFilters = describeResultFilters();
+    const rows = list.slice(0, 20).map(r => `
+                    <tr>
+                        <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div></td>
+                        <td>${esc(r.description || '')}</td>
+                        <td>${r.geneCount}/${result.stats.mapped}</td>
+                        <td>${formatP(r.pValue)}</td>
+                        <td class="text-success font-weight-bold">${formatP(r.fdr)}</td>
+                        <td>${r.fold.toFixed(2)}</td>
+                        <td class="alias-text">${esc(r.genes.map(g => getPreferredName(g, taxid)).join(', '))}</td>
+                    </tr>`).join('');
+
+    panel.innerHTML = `
+        <h3 class="panel-title" style="font-size: 1rem; margin: 1rem 0 0.5rem;">
+            <span class="ppi-dot" style="background:${window.PPINetwork.moduleColor(module)}"></span>
+            M${module} ${db === 'kegg' ? 'KEGG Pathway' : 'GO'} Enrichment
+        </h3>
+        <div class="enrichment-stats">${result.stats.mapped}/${result.stats.total} genes mapped · ${list.length} significant terms (${pAdjust.label} ≤ ${state.filters.fdr}; ${pAdjust.name}${extraFilters ? `; ${extraFilters}` : ''})${list.length > 20 ? ', top 20 shown' : ''}</div>
+        <div class="table-responsive">
+            <table class="result-table">
+                <thead>
+                    <tr>
+                        <th>Term</th>
+                        <th>Description</th>
+                        <th title="Module genes in the term / mapped module genes">Gene Ratio</th>
+                        <th>P-Value</th>
+                        <th title="Adjusted p-value (${pAdjust.name})">${pAdjust.label}</th>
+                        <th>Fold</th>
+                        <th>Genes</th>
+                    </tr>
+                </thead>
+                <tbody>${rows || '<tr><td colspan="7" class="text-muted">No terms pass the current filters.</td></tr>'}
+                </tbody>
+            </table>
+        </div>`;
+    panel.querySelectorAll('table').forEach(makeTableSortable);
+}
+
+function renderHubGenesTable(nodes, container, taxid, edges = [], truncated = 0) {
     if (!nodes || nodes.length === 0) return;
 
-    // Sort by Degree desc, then Score Sum desc
+    // Edge counts: query-centred edges vs. edges added by the induced subgraph
+    const inducedEdges = edges.filter(e => e.induced);
+    const inducedDegree = {};
+    for (const e of inducedEdges) {
+        inducedDegree[e.source] = (inducedDegree[e.source] || 0) + 1;
+        inducedDegree[e.target] = (inducedDegree[e.target] || 0) + 1;
+    }
+    const edgeSummary = `${nodes.length} nodes · ${edges.length} edges` +
+        (state.networkInduced ? ` (${edges.length - inducedEdges.length} from query genes and expansions, ${inducedEdges.length} among other shown nodes)` : '') +
+        (truncated > 0 ? ` · ${truncated} weaker interactors left out (at most ${window.PPINetwork.MAX_NETWORK_NODES} interactors are drawn)` : '');
+
+    // Sort by the hub metric desc, then Score Sum desc
+    const metrics = window.PPINetwork.NETWORK_METRICS;
+    const hubKey = metrics[state.networkHubMetric] ? state.networkHubMetric : 'degree';
     const sorted = [...nodes].sort((a, b) => {
-        if (b.degree !== a.degree) return b.degree - a.degree;
+        if (b[hubKey] !== a[hubKey]) return b[hubKey] - a[hubKey];
         return b.scoreSum - a.scoreSum;
     });
+    const centralities = Object.entries(metrics).filter(([m]) => m !== 'degree');
 
     // Show all nodes (user requested to see all hubs)
     const top = sorted;
@@ -688,14 +1630,16 @@ function renderHubGenesTable(nodes, container, taxid) {
     const html = `
     <div class="mt-4">
         <h3 class="panel-title" style="font-size: 1rem; margin-bottom: 0.5rem;">Network Statistics</h3>
+        <div class="enrichment-stats">${edgeSummary}</div>
         <div class="table-responsive">
             <table class="result-table">
                 <thead>
                     <tr>
                         <th>Gene</th>
                         <th>Type</th>
-                        <th>Degree</th>
-                        <th>Total Score</th>
+                        <th>Degree</th>${state.networkInduced ? '\n                        <th title="Edges added among the shown nodes">Induced Edges</th>' : ''}
+                        <th>Total Score</th>${centralities.map(([, info]) => `
+                        <th data-sort="number">${info.label}</th>`).join('')}
                         <th>Annotation</th>
                     </tr>
                 </thead>
@@ -719,8 +1663,8 @@ function renderHubGenesTable(nodes, container, taxid) {
                                 <div style="font-size:0.75rem;color:var(--text-muted)">${esc(n.id)}</div>
                             </td>
                             <td>${typeLabel}</td>
-                            <td><strong>${n.degree}</strong></td>
-                            <td>${Math.round(n.scoreSum)}</td>
+                            <td><strong>${n.degree}</strong></td>${state.networkInduced ? `<td>${inducedDegree[n.id] || 0}</td>` : ''}
+                            <td>${Math.round(n.scoreSum)}</td>${centralities.map(([m, info]) => `<td>${n[m].toFixed(info.digits)}</td>`).join('')}
                             <td class="alias-text" title="${esc(desc)}">${esc(truncate(desc, 80))}</td>
                         </tr>`;
     }).join('')}
@@ -785,6 +1729,56 @@ function buildGOResults(resolvedGenes, sourceTaxid) {
     addGeneNavigation('#tab-go');
 }
 
+// ===== Domain Results =====
+/** Per-gene annotations from other_terms.json (Pfam, InterPro, SMART, keywords, ...), grouped by category. */
+function buildDomainResults(resolvedGenes, sourceTaxid) {
+    const container = $('#tab-domains');
+    const otherTerms = state.cache[sourceTaxid]?.otherTerms;
+    if (!otherTerms || Object.keys(otherTerms).length === 0) {
+        container.innerHTML = '<p class="no-data">No domain or keyword annotations available for this species.</p>';
+        return;
+    }
+
+    const found = resolvedGenes.filter(g => g.proteinId);
+    let html = '';
+
+    for (const { query, proteinId } of found) {
+        const terms = otherTerms[proteinId];
+        if (!terms || terms.length === 0) continue;
+
+        html += `<div class="result-section">`;
+        html += `<div class="result-section-title"><span class="result-gene-badge" data-pid="${esc(proteinId)}" data-taxid="${esc(sourceTaxid)}">${esc(query)}</span></div>`;
+
+        const grouped = {};
+        for (const t of terms) {
+            const cat = t.category || 'Unknown';
+            if (!grouped[cat]) grouped[cat] = [];
+            grouped[cat].push(t);
+        }
+
+        html += `<div class="table-responsive"><table class="result-table"><thead><tr>
+      <th>Category</th><th>Term ID</th><th>Description</th>
+    </tr></thead><tbody>`;
+
+        for (const [cat, catTerms] of Object.entries(grouped)) {
+            for (const t of catTerms.slice(0, 15)) {
+                html += `<tr>
+          <td><span class="tag">${esc(cat)}</span></td>
+          <td><code>${esc(t.term)}</code></td>
+          <td>${esc(t.description)}</td>
+        </tr>`;
+            }
+        }
+
+        html += `</tbody></table></div></div>`;
+    }
+
+    html += notFoundSummary(resolvedGenes);
+    container.innerHTML = html || '<p class="no-data">No domain or keyword annotations for these genes.</p>';
+    container.querySelectorAll('table').forEach(makeTableSortable);
+    addGeneNavigation('#tab-domains');
+}
+
 // ===== KEGG Results =====
 function buildKEGGResults(resolvedGenes, sourceTaxid) {
     const container = $('#tab-kegg');
@@ -886,18 +1880,109 @@ function buildKEGGResults(resolvedGenes, sourceTaxid) {
 // ===== Enrichment Tab Builder =====
 function buildEnrichmentTab(type, result, sourceTaxid) {
     const container = $(`#tab-${type}-enrichment`);
-    const label = type === 'go' ? 'GO' : 'KEGG';
+    const label = ENRICHMENT_TYPES[type].label;
+    const method = result.stats.method;
+    const alternative = result.stats.alternative || 'greater';
+    const { list: shownResults, reduced, note: viewNote } = getDisplayedResults(type);
 
     // Stats
-    const sig = result.results.filter(r => r.fdr < 0.05).length;
-    const statsHtml = `${result.stats.mapped} / ${result.stats.total} genes mapped · ${result.stats.termsTotal} terms tested · <strong>${sig} significant</strong> (FDR &lt; 0.05)`;
+    const fdrCutoff = state.filters.fdr;
+    const sig = result.results.filter(r => r.fdr <= fdrCutoff).length;
+    const sigDepleted = result.results.filter(r => r.fdr <= fdrCutoff && r.oddsRatio < 1).length;
+    const testNote = alternative === 'greater' ? ''
+        : ` · ${window.Enrichment.TEST_ALTERNATIVES[alternative].toLowerCase()} test: ${sig - sigDepleted} enriched, ${sigDepleted} depleted`;
+    const bgSize = result.stats.background;
+    const bgHtml = bgSize === undefined ? ''
+        : ` · background: ${bgSize} ${result.stats.customBackground ? 'genes (custom list)' : type === 'custom' ? 'proteins (genome)' : 'annotated genes (genome)'}`;
+    let goNotes = '';
+    if (type === 'custom') {
+        const { file, setsLoaded, unresolvedMembers } = result.stats;
+        goNotes += ` · ${setsLoaded} sets from ${esc(file || 'file')}`;
+        if (unresolvedMembers > 0) goNotes += ` (${unresolvedMembers} members not found in this species)`;
+    }
+    if (type === 'go') {
+        if (result.stats.propagated) goNotes += ' · annotations propagated (is_a, part_of)';
+        else if (state.goPropagate) goNotes += ' · GO DAG unavailable, terms tested as annotated';
+        if (method) {
+            const survived = result.results.filter(r => r.pDecorrelated < 0.01).length;
+            goNotes += ` · ${goMethodLabel(method)}: <strong>${survived} terms</strong> p &lt; 0.01`;
+        } else if (state.goMethod !== 'classic' && !state.goPropagate) {
+            goNotes += ` · ${goMethodLabel(state.goMethod)} needs propagated annotations`;
+        } else if (state.goMethod !== 'classic' && alternative !== 'greater') {
+            goNotes += ` · ${goMethodLabel(state.goMethod)} applies to the enrichment test only`;
+        } else if (state.goMethod !== 'classic' && result.results.length > 0) {
+            goNotes += ' · GO DAG unavailable, classic test only';
+        }
+        if (reduced) {
+            const { measure, threshold } = state.goReduce;
+            goNotes += ` · reduced to <strong>${shownResults.length} representatives</strong> (${measure === 'lin' ? 'Lin' : 'Resnik'} ≥ ${threshold})`;
+        } else if (viewNote) {
+            goNotes += ` · ${viewNote}`;
+        }
+    }
+    const pAdjust = getPAdjustInfo();
+    const extraFilters = describeResultFilters();
+    const filterNote = extraFilters && !reduced ? ` · <strong>${shownResults.length} shown</strong> (${extraFilters})` : '';
+    const statsHtml = `${result.stats.mapped} / ${result.stats.total} genes mapped${bgHtml} · ${result.stats.termsTotal} ${type === 'custom' ? 'sets' : 'terms'} tested${goNotes} · <strong>${sig} significant</strong> (${pAdjust.label} ≤ ${fdrCutoff}; ${pAdjust.name})${testNote}${filterNote}`;
+
+    // GO: test method, propagation, reduced view; domains: term category
+    let typeControlsHtml = '';
+    if (type === 'domain') {
+        typeControlsHtml = `
+            <div class="control-group">
+                <label>Category:</label>
+                <select id="domain-category" class="form-control form-control-sm" style="width: 220px;" onchange="setDomainCategory(this.value)">
+                    ${(result.stats.categories || []).map(c => `<option value="${esc(c.category)}" ${c.category === result.stats.category ? 'selected' : ''}>${esc(c.category)} (${c.terms} terms)</option>`).join('')}
+                </select>
+            </div>`;
+    }
+    if (type === 'go') {
+        const { measure, threshold } = state.goReduce;
+        typeControlsHtml = `
+            <div class="control-group">
+                <label>Method:</label>
+                <select id="go-method" class="form-control form-control-sm" style="width: 100px;" onchange="setGOMethod(this.value)"
+                    ${state.goPropagate ? 'title="elim (topGO) and child removal decorrelate parent and child terms"' : 'disabled title="Decorrelation needs annotations propagated to parent terms"'}>
+                    ${Object.entries(GO_METHOD_LABELS).map(([m, l]) => `<option value="${m}" ${m === state.goMethod ? 'selected' : ''}>${l}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label title="Count genes for all ancestor terms along is_a/part_of edges (as topGO/ShinyGO do)">
+                    <input type="checkbox" id="go-propagate" ${state.goPropagate ? 'checked' : ''} onchange="setGOPropagation(this.checked)">
+                    Propagate to parent terms
+                </label>
+            </div>
+            <div class="control-group">
+                <label>View:</label>
+                <select id="go-view" class="form-control form-control-sm" style="width: 90px;" onchange="setGOView(this.value)"
+                    title="Reduced: group significant terms by semantic similarity and show one representative each (REVIGO-like)">
+                    <option value="full" ${state.goView === 'full' ? 'selected' : ''}>All terms</option>
+                    <option value="reduced" ${state.goView === 'reduced' ? 'selected' : ''}>Reduced</option>
+                </select>
+            </div>
+            ${state.goView === 'reduced' ? `
+            <div class="control-group">
+                <label>Similarity:</label>
+                <select class="form-control form-control-sm" style="width: 80px;" onchange="setGOView('reduced', this.value)">
+                    <option value="lin" ${measure === 'lin' ? 'selected' : ''}>Lin</option>
+                    <option value="resnik" ${measure === 'resnik' ? 'selected' : ''}>Resnik</option>
+                </select>
+                <select class="form-control form-control-sm" style="width: 120px;" onchange="setGOView('reduced', null, this.value)">
+                    ${Object.entries(GO_REDUCE_THRESHOLDS).map(([t, l]) => `<option value="${t}" ${parseFloat(t) === threshold ? 'selected' : ''}>${l}</option>`).join('')}
+                </select>
+            </div>` : ''}`;
+    }
 
     if (result.results.length === 0) {
-        container.innerHTML = `<div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div><p class="no-data">No enriched ${label} terms found.</p>`;
+        container.innerHTML = `<div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div>
+            <div class="enrichment-controls">${typeControlsHtml}${testControlHtml()}${pAdjustControlHtml()}${filterControlHtml()}</div>
+            <p class="no-data">No enriched ${label} terms found.</p>`;
         return;
     }
 
     const currentPlotType = state.enrichmentPlotType;
+    const currentTopN = state.enrichmentTopN[type] || 20;
+    const currentPalette = state.enrichmentPalette[type] || 'Default';
 
     let html = `
         <div id="${type}-enrichment-stats" class="enrichment-stats">${statsHtml}</div>
@@ -906,30 +1991,40 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
                 <label>Plot:</label>
                 <div class="btn-group">
                     <button class="btn btn-sm plot-toggle ${currentPlotType === 'bar' ? 'active' : ''}" data-plot="bar" onclick="switchEnrichmentPlot('${type}', 'bar')">Bar</button>
+                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'diverging' ? 'active' : ''}" data-plot="diverging" onclick="switchEnrichmentPlot('${type}', 'diverging')"
+                        title="Enriched terms to the right, depleted terms to the left">Diverging</button>
                     <button class="btn btn-sm plot-toggle ${currentPlotType === 'dot' ? 'active' : ''}" data-plot="dot" onclick="switchEnrichmentPlot('${type}', 'dot')">Dot</button>
                     <button class="btn btn-sm plot-toggle ${currentPlotType === 'tree' ? 'active' : ''}" data-plot="tree" onclick="switchEnrichmentPlot('${type}', 'tree')">Tree</button>
+                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'emap' ? 'active' : ''}" data-plot="emap" onclick="switchEnrichmentPlot('${type}', 'emap')"
+                        title="Enrichment map: significant terms linked by shared genes; click a term to highlight its genes in the table">Map</button>
+                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'heat' ? 'active' : ''}" data-plot="heat" onclick="switchEnrichmentPlot('${type}', 'heat')"
+                        title="Gene × term membership heatmap (heatplot)">Heatmap</button>
+                    <button class="btn btn-sm plot-toggle ${currentPlotType === 'cnet' ? 'active' : ''}" data-plot="cnet" onclick="switchEnrichmentPlot('${type}', 'cnet')"
+                        title="Gene–concept network of the top terms (cnetplot; at most 10 terms)">Network</button>
                 </div>
             </div>
+            <div class="control-group" id="emap-controls-${type}" ${currentPlotType === 'emap' ? '' : 'hidden'}>
+                <label>Links:</label>
+                <select class="form-control form-control-sm" style="width: 90px;" onchange="setEnrichmentMapOption('${type}', 'measure', this.value)"
+                    title="Gene-set similarity used to link terms">
+                    <option value="jaccard" ${state.emap.measure === 'jaccard' ? 'selected' : ''}>Jaccard</option>
+                    <option value="overlap" ${state.emap.measure === 'overlap' ? 'selected' : ''}>Overlap</option>
+                </select>
+                <select class="form-control form-control-sm" style="width: 70px;" onchange="setEnrichmentMapOption('${type}', 'cutoff', this.value)"
+                    title="Minimum similarity for a link">
+                    ${EMAP_CUTOFFS.map(c => `<option value="${c}" ${c === state.emap.cutoff ? 'selected' : ''}>≥ ${c}</option>`).join('')}
+                </select>
+            </div>${typeControlsHtml}${testControlHtml()}${pAdjustControlHtml()}
             <div class="control-group">
                 <label>Top:</label>
                 <select id="enrich-top-n-${type}" class="form-control form-control-sm" style="width: 60px;" onchange="updateEnrichmentPlotAndTable('${type}')">
-                    <option value="10">10</option>
-                    <option value="20" selected>20</option>
-                    <option value="30">30</option>
-                    <option value="50">50</option>
-                    <option value="100">100</option>
+                    ${[10, 20, 30, 50, 100].map(n => `<option value="${n}" ${n === currentTopN ? 'selected' : ''}>${n}</option>`).join('')}
                 </select>
             </div>
             <div class="control-group">
                 <label>Palette:</label>
                 <select id="enrich-palette-${type}" class="form-control form-control-sm" style="width: 100px;" onchange="updateEnrichmentPlotAndTable('${type}')">
-                    <option value="Default">Default</option>
-                    <option value="Viridis">Viridis</option>
-                    <option value="Magma">Magma</option>
-                    <option value="Plasma">Plasma</option>
-                    <option value="Blues">Blues</option>
-                    <option value="Reds">Reds</option>
-                    <option value="Greys">Greys</option>
+                    ${Object.keys(window.Plots.PALETTES).map(p => `<option value="${p}" ${p === currentPalette ? 'selected' : ''}>${p}</option>`).join('')}
                 </select>
             </div>
             <div class="control-group">
@@ -940,7 +2035,7 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
                     <button class="btn btn-sm" onclick="exportEnrichment('${type}', 'svg')">SVG</button>
                     <button class="btn btn-sm" onclick="exportEnrichment('${type}', 'pdf')">PDF</button>
                 </div>
-            </div>
+            </div>${filterControlHtml()}
         </div>
         <div id="enrichment-plot-${type}" class="enrichment-plot-container"></div>
         <div class="table-responsive mt-4">
@@ -950,16 +2045,19 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
                         <th>Term</th>
                         <th>Description</th>
                         <th>Category</th>
-                        <th>P-Value</th>
-                        <th>FDR</th>
+                        <th title="Fisher's exact test, ${window.Enrichment.TEST_ALTERNATIVES[alternative].toLowerCase()}">P-Value</th>
+                        ${method ? `<th title="p-value after ${goMethodLabel(method)} decorrelation">${goMethodLabel(method)} P</th>` : ''}
+                        <th title="Adjusted p-value (${pAdjust.name})">${pAdjust.label}</th>
                         <th>Fold</th>
+                        <th title="Sample odds ratio with 95% Woolf confidence interval (0.5 added to every cell when one is empty)">Odds Ratio (95% CI)</th>
                         <th>Genes</th>
                         <th>Bg</th>
+                        ${reduced ? '<th title="Number of significant terms this representative stands for">Terms</th>' : ''}
                     </tr>
                 </thead>
                 <tbody>
                     <tr>
-                        <td colspan="8" class="text-muted">Loading...</td>
+                        <td colspan="${9 + (method ? 1 : 0) + (reduced ? 1 : 0)}" class="text-muted">Loading...</td>
                     </tr>
                 </tbody>
             </table>
@@ -971,28 +2069,100 @@ function buildEnrichmentTab(type, result, sourceTaxid) {
 }
 
 function renderEnrichmentRows(type, sourceTaxid, topN) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = getEnrichmentResult(type);
     const table = document.querySelector(`#tab-${type}-enrichment table.result-table`);
     if (!result || !table) return;
 
     const tbody = table.querySelector('tbody');
     if (!tbody) return;
 
-    const rows = result.results.slice(0, topN).map(r => `
-        <tr>
+    const formatP = (p) => (p < 0.001 ? p.toExponential(2) : p.toFixed(4));
+    const method = result.stats.method;
+    const { list, reduced } = getDisplayedResults(type);
+    const colspan = 9 + (method ? 1 : 0) + (reduced ? 1 : 0);
+    const formatOR = (r) => (r.oddsRatio === undefined ? '' : `${r.oddsRatio.toFixed(2)} (${r.ciLow.toFixed(2)}–${r.ciHigh.toFixed(2)})`);
+    const rows = list.slice(0, topN).map(r => `
+        <tr data-term="${esc(r.term)}">
             <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div></td>
             <td>${esc(r.description || '')}</td>
             <td>${esc(r.category || '')}</td>
-            <td>${r.pValue < 0.001 ? r.pValue.toExponential(2) : r.pValue.toFixed(4)}</td>
-            <td class="${r.fdr < 0.05 ? 'text-success font-weight-bold' : ''}">${r.fdr < 0.001 ? r.fdr.toExponential(2) : r.fdr.toFixed(4)}</td>
+            <td>${formatP(r.pValue)}</td>
+            ${method ? `<td class="${r.pDecorrelated < 0.01 ? 'text-success font-weight-bold' : ''}">${formatP(r.pDecorrelated)}</td>` : ''}
+            <td class="${r.fdr <= state.filters.fdr ? 'text-success font-weight-bold' : ''}">${r.fdr < 0.001 ? r.fdr.toExponential(2) : r.fdr.toFixed(4)}</td>
             <td>${r.fold.toFixed(2)}</td>
+            <td class="${r.oddsRatio < 1 ? 'text-danger' : ''}">${formatOR(r)}</td>
             <td class="alias-text" title="${esc((r.genes || []).map(g => getPreferredName(g, sourceTaxid)).join(', '))}">
                 ${r.geneCount}
             </td>
             <td>${r.bgCount}</td>
+            ${reduced ? `<td class="alias-text" title="${esc(r.represents.map(t => `${t.term} ${t.description}`).join('\n'))}">${r.represents.length + 1}</td>` : ''}
         </tr>`).join('');
 
-    tbody.innerHTML = rows || '<tr><td colspan="8" class="text-muted">No enrichment rows available.</td></tr>';
+    tbody.innerHTML = rows || `<tr><td colspan="${colspan}" class="text-muted">No terms pass the current filters.</td></tr>`;
+    tbody.querySelectorAll('tr[data-term]').forEach(tr => {
+        tr.style.cursor = 'pointer';
+        tr.addEventListener('click', (e) => {
+            if (e.target.closest('[data-pid], button')) return;
+            selectEnrichmentTerm(type, tr.dataset.term === state.enrichmentSelected[type] ? null : tr.dataset.term);
+        });
+    });
+    highlightEnrichmentTerm(type);
+}
+
+// Similarity cutoffs offered for enrichment map links
+const EMAP_CUTOFFS = [0.1, 0.2, 0.25, 0.3, 0.4, 0.5];
+
+function setEnrichmentMapOption(type, key, value) {
+    if (key === 'measure') state.emap.measure = value;
+    else state.emap.cutoff = parseFloat(value);
+    updateEnrichmentPlotAndTable(type);
+}
+
+/**
+ * Highlight the selected term (state.enrichmentSelected[type]) in the results table, expand
+ * its member genes below its row, and mark other rows sharing those genes.
+ */
+function highlightEnrichmentTerm(type) {
+    const table = $(`#tab-${type}-enrichment table.result-table`);
+    const result = getEnrichmentResult(type);
+    if (!table || !result) return;
+    table.querySelectorAll('tr.term-genes-row').forEach(tr => tr.remove());
+    const rows = [...table.querySelectorAll('tbody tr[data-term]')];
+    const term = state.enrichmentSelected[type];
+    const selected = term ? result.results.find(r => r.term === term) : null;
+    const row = selected ? rows.find(tr => tr.dataset.term === term) : null;
+
+    const genes = new Set(selected ? selected.genes || [] : []);
+    for (const tr of rows) {
+        const r = result.results.find(x => x.term === tr.dataset.term);
+        const shared = row && r && r.term !== term ? (r.genes || []).filter(g => genes.has(g)).length : 0;
+        tr.classList.toggle('row-selected', !!row && tr === row);
+        tr.classList.toggle('row-related', shared > 0);
+        tr.title = shared > 0 ? `${shared} genes shared with ${selected.term}` : '';
+    }
+    if (!row) return;
+
+    // Member genes, with the same gene tooltips as the other tabs
+    const taxid = state.sourceSpecies;
+    const chips = [...genes]
+        .map(g => ({ pid: g, name: getPreferredName(g, taxid) }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(g => `<span class="tag" data-pid="${esc(g.pid)}" data-taxid="${esc(taxid)}">${esc(g.name)}</span>`)
+        .join('');
+    const detail = document.createElement('tr');
+    detail.className = 'term-genes-row';
+    detail.innerHTML = `<td colspan="${table.querySelectorAll('thead th').length}">
+        <strong>${genes.size} genes in ${esc(selected.description || selected.term)}</strong>
+        <button class="btn btn-sm" onclick="selectEnrichmentTerm('${type}', null)">Close</button>
+        <div style="margin-top: 0.35rem;">${chips}</div></td>`;
+    row.after(detail);
+    row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+}
+
+function selectEnrichmentTerm(type, term) {
+    state.enrichmentSelected[type] = term;
+    if (state.enrichmentPlotType === 'emap') updateEnrichmentPlotAndTable(type);
+    else highlightEnrichmentTerm(type);
 }
 
 function switchEnrichmentPlot(type, plotType) {
@@ -1009,7 +2179,7 @@ function switchEnrichmentPlot(type, plotType) {
 }
 
 function updateEnrichmentPlotAndTable(type, forcedPlotType) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = getEnrichmentResult(type);
     if (!result) return;
 
     const container = document.getElementById(`enrichment-plot-${type}`);
@@ -1025,20 +2195,39 @@ function updateEnrichmentPlotAndTable(type, forcedPlotType) {
 
     const plotType = forcedPlotType || state.enrichmentPlotType;
     state.enrichmentPlotType = plotType;
+    state.enrichmentTopN[type] = topN;
+    state.enrichmentPalette[type] = palette;
 
     document.querySelectorAll(`#tab-${type}-enrichment .plot-toggle`).forEach(btn => {
         btn.classList.toggle('active', btn.dataset.plot === plotType);
     });
+    const emapControls = document.getElementById(`emap-controls-${type}`);
+    if (emapControls) emapControls.hidden = plotType !== 'emap';
 
     let svg;
-    const title = type === 'go' ? 'GO Enrichment' : 'KEGG Pathway Enrichment';
+    const { list, reduced } = getDisplayedResults(type);
+    const title = (type === 'domain' ? `${result.stats.category} Enrichment` : ENRICHMENT_TYPES[type].title) + (reduced ? ' (reduced)' : '');
+    const pLabel = getPAdjustInfo().label;
+    const fdrCutoff = state.filters.fdr;
+    const getNameFn = (pid) => getPreferredName(pid, state.sourceSpecies);
 
     if (plotType === 'bar') {
-        svg = window.Plots.createBarChart(result.results, topN, palette, title);
+        svg = window.Plots.createBarChart(list, topN, palette, title, pLabel, fdrCutoff);
+    } else if (plotType === 'diverging') {
+        svg = window.Plots.createDivergingBarChart(list, topN, palette, title, pLabel, fdrCutoff);
     } else if (plotType === 'tree') {
-        svg = window.Plots.createClusterTree(result.results, topN, palette, title + ' — Hierarchical Clustering');
+        svg = window.Plots.createClusterTree(list, topN, palette, title + ' — Hierarchical Clustering', pLabel, fdrCutoff);
+    } else if (plotType === 'emap') {
+        svg = window.Plots.createEnrichmentMap(list, topN, palette, title + ' — Enrichment Map', pLabel, {
+            ...state.emap,
+            selected: state.enrichmentSelected[type],
+        });
+    } else if (plotType === 'heat') {
+        svg = window.Plots.createHeatPlot(list, topN, palette, title + ' — Genes', pLabel, getNameFn);
+    } else if (plotType === 'cnet') {
+        svg = window.Plots.createCnetPlot(list, topN, palette, title + ' — Gene–Concept Network', pLabel, getNameFn);
     } else {
-        svg = window.Plots.createDotPlot(result.results, topN, palette, title);
+        svg = window.Plots.createDotPlot(list, topN, palette, title, pLabel, fdrCutoff);
     }
 
     if (svg) {
@@ -1048,17 +2237,24 @@ function updateEnrichmentPlotAndTable(type, forcedPlotType) {
     }
 
     renderEnrichmentRows(type, state.sourceSpecies, topN);
+    updateShareURL();
 }
 
 function exportEnrichment(type, format) {
-    const result = type === 'go' ? state.goEnrichmentResults : state.keggEnrichmentResults;
+    const result = getEnrichmentResult(type);
     if (!result) return alert('No enrichment results to export. Run an analysis first.');
 
     const getNameFn = (pid) => getPreferredName(pid, state.sourceSpecies);
     const name = `${type}_enrichment`;
 
     if (format === 'csv') {
-        window.Export.downloadCSV(result.results, `${name}.csv`, getNameFn);
+        const { list, reduced } = getDisplayedResults(type);
+        window.Export.downloadCSV(list, reduced ? `${name}_reduced.csv` : `${name}.csv`, getNameFn, {
+            decorrelation: result.stats.method && goMethodLabel(result.stats.method),
+            reduced,
+            pAdjust: state.pAdjust,
+            alternative: result.stats.alternative,
+        });
     } else {
         const svg = $(`#enrichment-plot-${type} svg`);
         if (!svg) return alert('No plot to export. Render the plot first.');
@@ -1069,6 +2265,528 @@ function exportEnrichment(type, format) {
     }
 }
 
+// ===== List Comparison (compareCluster) =====
+/** Comparison of the named lists' results for the selected database, from Enrichment.compareEnrichment(). */
+function getComparison(topN) {
+    const db = state.compareDb === 'kegg' ? 'kegg' : 'go';
+    const lists = state.compareResults.lists.map(l => ({ name: l.name, result: l[db] }));
+    return window.Enrichment.compareEnrichment(lists, topN || state.enrichmentTopN.compare || 5, passesResultFilters);
+}
+
+function setCompareDb(db) {
+    state.compareDb = db;
+    buildCompareTab();
+}
+
+function buildCompareTab() {
+    const container = $('#tab-compare');
+    if (!state.compareResults) {
+        container.innerHTML = '';
+        return;
+    }
+    const db = state.compareDb === 'kegg' ? 'kegg' : 'go';
+    const pAdjust = getPAdjustInfo();
+    const listStats = state.compareResults.lists.map(l => {
+        const sig = l[db].results.filter(passesResultFilters).length;
+        return `${esc(l.name)}: ${l[db].stats.mapped}/${l.size} mapped, <strong>${sig}</strong>`;
+    }).join(' · ');
+    const extraFilters = describeResultFilters();
+    const statsHtml = `${state.compareResults.lists.length} lists · significant terms (${pAdjust.label} ≤ ${state.filters.fdr}; ${pAdjust.name}${extraFilters ? `; ${extraFilters}` : ''}): ${listStats}`;
+    const currentTopN = state.enrichmentTopN.compare || 5;
+    const currentPalette = state.enrichmentPalette.compare || 'Default';
+
+    container.innerHTML = `
+        <div class="enrichment-stats">${statsHtml}</div>
+        <div class="enrichment-controls">
+            <div class="control-group">
+                <label>Database:</label>
+                <select class="form-control form-control-sm" style="width: 80px;" onchange="setCompareDb(this.value)">
+                    <option value="go" ${db === 'go' ? 'selected' : ''}>GO</option>
+                    <option value="kegg" ${db === 'kegg' ? 'selected' : ''}>KEGG</option>
+                </select>
+            </div>${pAdjustControlHtml()}
+            <div class="control-group">
+                <label title="Most significant terms taken from each list">Top per list:</label>
+                <select id="enrich-top-n-compare" class="form-control form-control-sm" style="width: 60px;" onchange="updateComparePlotAndTable()">
+                    ${[3, 5, 10, 15, 20].map(n => `<option value="${n}" ${n === currentTopN ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Palette:</label>
+                <select id="enrich-palette-compare" class="form-control form-control-sm" style="width: 100px;" onchange="updateComparePlotAndTable()">
+                    ${Object.keys(window.Plots.PALETTES).map(p => `<option value="${p}" ${p === currentPalette ? 'selected' : ''}>${p}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Export:</label>
+                <div class="btn-group">
+                    <button class="btn btn-sm" onclick="exportComparison('csv')">CSV</button>
+                    <button class="btn btn-sm" onclick="exportComparison('png')">PNG</button>
+                    <button class="btn btn-sm" onclick="exportComparison('svg')">SVG</button>
+                    <button class="btn btn-sm" onclick="exportComparison('pdf')">PDF</button>
+                </div>
+            </div>
+        </div>
+        <div id="enrichment-plot-compare" class="enrichment-plot-container"></div>
+        <div class="table-responsive mt-4">
+            <table class="result-table">
+                <thead>
+                    <tr>
+                        <th>List</th>
+                        <th>Term</th>
+                        <th>Description</th>
+                        <th title="Genes of the list in the term / mapped genes of the list">Gene Ratio</th>
+                        <th>P-Value</th>
+                        <th title="Adjusted p-value (${pAdjust.name})">${pAdjust.label}</th>
+                        <th>Fold</th>
+                        <th>Genes</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>`;
+    container.querySelectorAll('table').forEach(makeTableSortable);
+    updateComparePlotAndTable();
+}
+
+function updateComparePlotAndTable() {
+    const container = document.getElementById('enrichment-plot-compare');
+    if (!state.compareResults || !container) return;
+    container.innerHTML = '';
+
+    const topN = parseInt($('#enrich-top-n-compare').value, 10) || 5;
+    const palette = $('#enrich-palette-compare').value;
+    state.enrichmentTopN.compare = topN;
+    state.enrichmentPalette.compare = palette;
+
+    const comparison = getComparison(topN);
+    const title = `${state.compareDb === 'kegg' ? 'KEGG Pathway' : 'GO'} Enrichment by List`;
+    const svg = window.Plots.createCompareDotPlot(comparison, palette, title, getPAdjustInfo().label);
+    if (svg) {
+        container.appendChild(svg);
+    } else {
+        container.innerHTML = '<div class="text-muted p-3">No significant terms in any list.</div>';
+    }
+
+    // Table: the long-format rows of the plotted terms
+    const shown = new Set(comparison.terms.map(t => t.term));
+    const formatP = (p) => (p < 0.001 ? p.toExponential(2) : p.toFixed(4));
+    const rows = comparison.rows.filter(r => shown.has(r.term)).map(r => `
+        <tr>
+            <td>${esc(r.list)}</td>
+            <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div></td>
+            <td>${esc(r.description || '')}</td>
+            <td>${r.geneCount}/${r.mapped}</td>
+            <td>${formatP(r.pValue)}</td>
+            <td class="text-success font-weight-bold">${formatP(r.fdr)}</td>
+            <td>${r.fold.toFixed(2)}</td>
+            <td class="alias-text">${esc(r.genes.map(g => getPreferredName(g, state.sourceSpecies)).join(', '))}</td>
+        </tr>`).join('');
+    $('#tab-compare tbody').innerHTML = rows || '<tr><td colspan="8" class="text-muted">No significant terms in any list.</td></tr>';
+    updateShareURL();
+}
+
+function exportComparison(format) {
+    if (!state.compareResults) return alert('No list comparison to export. Enter several named lists first.');
+    const name = `${state.compareDb === 'kegg' ? 'kegg' : 'go'}_compare`;
+
+    if (format === 'csv') {
+        const getNameFn = (pid) => getPreferredName(pid, state.sourceSpecies);
+        window.Export.downloadComparisonCSV(getComparison(), `${name}.csv`, getNameFn, { pAdjust: state.pAdjust });
+    } else {
+        const svg = $('#enrichment-plot-compare svg');
+        if (!svg) return alert('No plot to export. Render the plot first.');
+
+        if (format === 'png') window.Export.downloadPNG(svg, `${name}.png`);
+        else if (format === 'svg') window.Export.downloadSVG(svg, `${name}.svg`);
+        else if (format === 'pdf') window.Export.downloadPDF(svg, `${name}.pdf`);
+    }
+}
+
+// ===== Cross-Species Conservation =====
+/** Source-species result followed by each target's ortholog result, as compareEnrichment() lists. */
+function getConservationLists() {
+    const db = state.conservationDb === 'kegg' ? 'kegg' : 'go';
+    const source = { taxid: state.sourceSpecies, go: state.goEnrichmentResults, kegg: state.keggEnrichmentResults };
+    return [source, ...state.conservationResults.species].map(sp => ({
+        name: getSpeciesName(sp.taxid),
+        taxid: sp.taxid,
+        result: sp[db],
+    }));
+}
+
+function setConservationDb(db) {
+    state.conservationDb = db;
+    buildConservationTab();
+}
+
+function buildConservationTab() {
+    const container = $('#tab-conservation');
+    if (!state.conservationResults) {
+        container.innerHTML = '';
+        return;
+    }
+    const db = state.conservationDb === 'kegg' ? 'kegg' : 'go';
+    const pAdjust = getPAdjustInfo();
+    const found = state.resolvedGenes.filter(g => g.proteinId).length;
+    const currentTopN = state.enrichmentTopN.conservation || 10;
+    const currentPalette = state.enrichmentPalette.conservation || 'Default';
+
+    const sourceResult = db === 'kegg' ? state.keggEnrichmentResults : state.goEnrichmentResults;
+    const speciesRows = [{ taxid: state.sourceSpecies, mapped: found, size: found, source: true, result: sourceResult }]
+        .concat(state.conservationResults.species.map(sp => ({ ...sp, result: sp[db] })))
+        .map(sp => `
+            <tr>
+                <td>${italicSpeciesName(getSpeciesName(sp.taxid))}${sp.source ? ' <span class="text-muted">(source)</span>' : ''}</td>
+                <td>${sp.mapped} / ${found}</td>
+                <td>${sp.size}</td>
+                <td>${sp.result.stats.mapped}</td>
+                <td>${sp.result.stats.background ?? ''}</td>
+                <td><strong>${sp.result.results.filter(passesResultFilters).length}</strong></td>
+            </tr>`).join('');
+
+    container.innerHTML = `
+        <div class="enrichment-stats">Query genes projected through NOG orthogroups onto ${state.conservationResults.species.length} target species; each is tested against its own genome · ${pAdjust.label} ≤ ${state.filters.fdr} (${pAdjust.name}${describeResultFilters() ? `; ${describeResultFilters()}` : ''})</div>
+        <div class="enrichment-controls">
+            <div class="control-group">
+                <label>Database:</label>
+                <select class="form-control form-control-sm" style="width: 80px;" onchange="setConservationDb(this.value)">
+                    <option value="go" ${db === 'go' ? 'selected' : ''}>GO</option>
+                    <option value="kegg" ${db === 'kegg' ? 'selected' : ''}>KEGG</option>
+                </select>
+            </div>${pAdjustControlHtml()}
+            <div class="control-group">
+                <label title="Most significant terms taken from each species">Top per species:</label>
+                <select id="enrich-top-n-conservation" class="form-control form-control-sm" style="width: 60px;" onchange="updateConservationPlot()">
+                    ${[5, 10, 15, 20, 30].map(n => `<option value="${n}" ${n === currentTopN ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Palette:</label>
+                <select id="enrich-palette-conservation" class="form-control form-control-sm" style="width: 100px;" onchange="updateConservationPlot()">
+                    ${Object.keys(window.Plots.PALETTES).map(p => `<option value="${p}" ${p === currentPalette ? 'selected' : ''}>${p}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Export:</label>
+                <div class="btn-group">
+                    <button class="btn btn-sm" onclick="exportConservation('csv')">CSV</button>
+                    <button class="btn btn-sm" onclick="exportConservation('png')">PNG</button>
+                    <button class="btn btn-sm" onclick="exportConservation('svg')">SVG</button>
+                    <button class="btn btn-sm" onclick="exportConservation('pdf')">PDF</button>
+                </div>
+            </div>
+        </div>
+        <div id="enrichment-plot-conservation" class="enrichment-plot-container"></div>
+        <div class="table-responsive mt-4">
+            <table class="result-table">
+                <thead>
+                    <tr>
+                        <th>Species</th>
+                        <th title="Query genes with at least one ortholog in the species">Genes with Orthologs</th>
+                        <th title="Orthologous proteins tested">Proteins</th>
+                        <th title="Tested proteins annotated in ${db === 'kegg' ? 'KEGG' : 'GO'}">Mapped</th>
+                        <th>Background</th>
+                        <th>Significant Terms</th>
+                    </tr>
+                </thead>
+                <tbody>${speciesRows}</tbody>
+            </table>
+        </div>`;
+    container.querySelectorAll('table').forEach(makeTableSortable);
+    updateConservationPlot();
+}
+
+function updateConservationPlot() {
+    const container = document.getElementById('enrichment-plot-conservation');
+    if (!state.conservationResults || !container) return;
+    container.innerHTML = '';
+
+    const topN = parseInt($('#enrich-top-n-conservation').value, 10) || 10;
+    const palette = $('#enrich-palette-conservation').value;
+    state.enrichmentTopN.conservation = topN;
+    state.enrichmentPalette.conservation = palette;
+
+    const comparison = window.Enrichment.compareEnrichment(getConservationLists(), topN, passesResultFilters);
+    const title = `${state.conservationDb === 'kegg' ? 'KEGG Pathway' : 'GO'} Enrichment across Species`;
+    const svg = window.Plots.createTermHeatmap(comparison, palette, title, getPAdjustInfo().label, state.filters.fdr);
+    if (svg) {
+        container.appendChild(svg);
+    } else {
+        container.innerHTML = '<div class="text-muted p-3">No significant terms in any species.</div>';
+    }
+    updateShareURL();
+}
+
+function exportConservation(format) {
+    if (!state.conservationResults) return alert('No cross-species results to export. Select target species and run an analysis first.');
+    const name = `${state.conservationDb === 'kegg' ? 'kegg' : 'go'}_conservation`;
+
+    if (format === 'csv') {
+        const lists = getConservationLists();
+        const taxids = new Map(lists.map(l => [l.name, l.taxid]));
+        const comparison = window.Enrichment.compareEnrichment(lists, state.enrichmentTopN.conservation || 10, passesResultFilters);
+        const getNameFn = (pid, row) => getPreferredName(pid, taxids.get(row.list));
+        window.Export.downloadComparisonCSV(comparison, `${name}.csv`, getNameFn, { pAdjust: state.pAdjust, listHeader: 'Species' });
+    } else {
+        const svg = $('#enrichment-plot-conservation svg');
+        if (!svg) return alert('No plot to export. Render the plot first.');
+
+        if (format === 'png') window.Export.downloadPNG(svg, `${name}.png`);
+        else if (format === 'svg') window.Export.downloadSVG(svg, `${name}.svg`);
+        else if (format === 'pdf') window.Export.downloadPDF(svg, `${name}.pdf`);
+    }
+}
+
+// ===== Ranked List (GSEA) =====
+const LIST_TABS = ['aliases', 'ppi', 'ppi-network', 'go', 'kegg', 'domains', 'go-enrichment', 'kegg-enrichment', 'custom-enrichment', 'domain-enrichment', 'compare', 'conservation', 'phylogeny'];
+const GSEA_TABS = ['go-gsea', 'kegg-gsea'];
+
+/** Parse "gene score" lines (tab, comma, semicolon or space separated); lines without a numeric score, such as headers, are skipped. */
+function parseRankedInput(text) {
+    const entries = [];
+    for (const line of text.split(/[\n\r]+/)) {
+        const fields = line.trim().split(/[\t,;\s]+/);
+        const score = parseFloat(fields[1]);
+        if (!fields[0] || !Number.isFinite(score)) continue;
+        entries.push({ gene: fields[0], score });
+    }
+    return entries;
+}
+
+/** Resolved ranked genes -> [{ id, score }]: one entry per protein (largest |score| wins), best first. */
+function buildRankedList(resolvedGenes) {
+    const best = new Map();
+    for (const g of resolvedGenes) {
+        if (!g.proteinId) continue;
+        const prev = best.get(g.proteinId);
+        if (prev === undefined || Math.abs(g.score) > Math.abs(prev)) best.set(g.proteinId, g.score);
+    }
+    return [...best].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+}
+
+function setResultTabsMode(mode) {
+    const shown = new Set(mode === 'ranked' ? GSEA_TABS : LIST_TABS);
+    if (!state.customEnrichmentResults) shown.delete('custom-enrichment');
+    if (!state.compareResults) shown.delete('compare');
+    if (!state.conservationResults) shown.delete('conservation');
+    $$('.tab').forEach(t => t.hidden = !shown.has(t.dataset.tab));
+}
+
+function updateInputModeUI() {
+    const ranked = els.inputMode.value === 'ranked';
+    $('#gene-input-hint').textContent = ranked ? '(gene and score per line)' : '(one per line or comma-separated; ">name" lines start lists to compare)';
+    els.geneInput.placeholder = ranked
+        ? 'Enter genes with a ranking score, e.g. log2 fold change...\n\ne.g.\nFGSG_00362\t2.41\nTRI5\t1.87\nI1RA39\t-1.20'
+        : 'Enter gene names, locus tags, or protein IDs...\n\ne.g.\nFGSG_00362\nI1RA39\nTRI5';
+}
+
+/**
+ * Preranked GSEA on GO and KEGG term sets. Only the GSEA tabs are shown for ranked input.
+ * @param {string} sourceTaxid
+ * @param {Object} [options] - as for runAnalysis(); options.enrichment.gsea restores saved results
+ */
+async function runRankedAnalysis(sourceTaxid, options = {}) {
+    const entries = parseRankedInput(els.geneInput.value);
+    if (entries.length === 0) return alert('Please enter genes with numeric scores, one "gene score" pair per line.');
+
+    state.inputMode = 'ranked';
+    state.sourceSpecies = sourceTaxid;
+    state.genes = entries.map(e => `${e.gene}\t${e.score}`);
+    state.background = [];
+    state.targetSpecies = [];
+    state.scoreThreshold = parseInt(els.scoreSlider.value);
+    state.analysisRunning = true;
+
+    try {
+        showLoading('Loading source species data...');
+        await loadSpeciesData(sourceTaxid);
+
+        const resolvedGenes = entries.map(e => ({
+            query: e.gene,
+            proteinId: resolveGene(e.gene, sourceTaxid),
+            score: e.score,
+        }));
+        state.resolvedGenes = resolvedGenes;
+
+        let gsea = options.enrichment && options.enrichment.gsea;
+        if (!gsea) {
+            const ranked = buildRankedList(resolvedGenes);
+            if (ranked.length === 0) throw new Error('none of the ranked genes could be resolved in the source species');
+            showLoading('Running gene set enrichment...');
+            const goDag = state.goPropagate ? await loadGODag() : null;
+            gsea = await window.Enrichment.runGSEAAsync(sourceTaxid, ranked, state.cache[sourceTaxid], showLoading, {
+                goDag,
+                propagate: state.goPropagate,
+            });
+        }
+        state.gseaResults = gsea;
+        showRankedResults(options.initialTab);
+    } catch (err) {
+        state.analysisRunning = false;
+        hideLoading();
+        console.error('Analysis error:', err);
+        alert('Analysis failed: ' + err.message);
+    }
+}
+
+function showRankedResults(initialTab) {
+    state.goEnrichmentResults = null;
+    state.keggEnrichmentResults = null;
+    state.customEnrichmentResults = null;
+    state.domainEnrichmentResults = null;
+    state.compareResults = null;
+    state.conservationResults = null;
+    applyPAdjust();
+    state.orthologRows = null;
+    state.ppiRows = null;
+    state.gseaSelected = {};
+
+    buildGSEATab('go');
+    buildGSEATab('kegg');
+    setResultTabsMode('ranked');
+
+    hideLoading();
+    els.resultsPlaceholder.hidden = true;
+    els.resultsContent.hidden = false;
+    els.shareBtn.hidden = false;
+    state.analysisRunning = false;
+    switchTab(GSEA_TABS.includes(initialTab) ? initialTab : 'go-gsea');
+}
+
+function buildGSEATab(type) {
+    const container = $(`#tab-${type}-gsea`);
+    const result = state.gseaResults[type];
+    const label = type === 'go' ? 'GO' : 'KEGG';
+    const { stats } = result;
+
+    const fdrCutoff = state.filters.fdr;
+    const sig = result.results.filter(r => r.fdr <= fdrCutoff);
+    const up = sig.filter(r => r.nes > 0).length;
+    const pAdjust = getPAdjustInfo();
+    const statsHtml = `${stats.mapped} / ${stats.ranked} ranked genes in the ${label} background · ${stats.termsTotal} sets tested (size ${stats.minSize || ''}–${stats.maxSize || ''}) · ${stats.permutations} permutations · <strong>${sig.length} significant</strong> (${pAdjust.label} ≤ ${fdrCutoff}; ${pAdjust.name}; ${up} up, ${sig.length - up} down)`;
+
+    if (result.results.length === 0) {
+        container.innerHTML = `<div class="enrichment-stats">${statsHtml}</div><p class="no-data">No ${label} gene sets could be tested.</p>`;
+        return;
+    }
+
+    const key = `${type}-gsea`;
+    const currentTopN = state.enrichmentTopN[key] || 20;
+    const currentPalette = state.enrichmentPalette[key] || 'Default';
+
+    container.innerHTML = `
+        <div class="enrichment-stats">${statsHtml}</div>
+        <div class="enrichment-controls">
+            <div class="control-group">
+                <label>Top:</label>
+                <select id="gsea-top-n-${type}" class="form-control form-control-sm" style="width: 60px;" onchange="updateGSEAView('${type}')">
+                    ${[10, 20, 30, 50, 100].map(n => `<option value="${n}" ${n === currentTopN ? 'selected' : ''}>${n}</option>`).join('')}
+                </select>
+            </div>
+            <div class="control-group">
+                <label>Palette:</label>
+                <select id="gsea-palette-${type}" class="form-control form-control-sm" style="width: 100px;" onchange="updateGSEAView('${type}')">
+                    ${Object.keys(window.Plots.PALETTES).map(p => `<option value="${p}" ${p === currentPalette ? 'selected' : ''}>${p}</option>`).join('')}
+                </select>
+            </div>${pAdjustControlHtml()}
+            <div class="control-group">
+                <label>Export:</label>
+                <div class="btn-group">
+                    <button class="btn btn-sm" onclick="exportGSEA('${type}', 'csv')">CSV</button>
+                    <button class="btn btn-sm" onclick="exportGSEA('${type}', 'png')">PNG</button>
+                    <button class="btn btn-sm" onclick="exportGSEA('${type}', 'svg')">SVG</button>
+                    <button class="btn btn-sm" onclick="exportGSEA('${type}', 'pdf')">PDF</button>
+                </div>
+            </div>
+        </div>
+        <div id="gsea-plot-${type}" class="enrichment-plot-container"></div>
+        <p class="text-muted">Click a row to show its running enrichment score.</p>
+        <div class="table-responsive mt-4">
+            <table class="result-table">
+                <thead>
+                    <tr>
+                        <th>Term</th>
+                        <th>Description</th>
+                        <th>Category</th>
+                        <th>Size</th>
+                        <th title="Enrichment score">ES</th>
+                        <th title="Normalized enrichment score">NES</th>
+                        <th>P-Value</th>
+                        <th title="Adjusted p-value (${pAdjust.name})">${pAdjust.label}</th>
+                        <th title="Genes before (positive NES) or after (negative NES) the running-score peak">Leading Edge</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>`;
+
+    container.querySelectorAll('table').forEach(makeTableSortable);
+    updateGSEAView(type);
+}
+
+function updateGSEAView(type) {
+    const result = state.gseaResults && state.gseaResults[type];
+    if (!result || result.results.length === 0) return;
+
+    const key = `${type}-gsea`;
+    const topN = parseInt($(`#gsea-top-n-${type}`).value, 10) || 20;
+    const palette = $(`#gsea-palette-${type}`).value || 'Default';
+    state.enrichmentTopN[key] = topN;
+    state.enrichmentPalette[key] = palette;
+
+    const selected = state.gseaSelected[type] || result.results[0].term;
+    const formatP = (p) => (p < 0.001 ? p.toExponential(2) : p.toFixed(4));
+    const tbody = $(`#tab-${type}-gsea table.result-table tbody`);
+    tbody.innerHTML = result.results.slice(0, topN).map(r => `
+        <tr class="${r.term === selected ? 'row-selected' : ''}" data-term="${esc(r.term)}" style="cursor: pointer;">
+            <td><div class="term-cell" title="${esc(r.term)}">${esc(r.term)}</div></td>
+            <td>${esc(r.description || '')}</td>
+            <td>${esc(r.category || '')}</td>
+            <td>${r.size}</td>
+            <td>${r.es.toFixed(3)}</td>
+            <td class="${r.nes > 0 ? 'text-success' : 'text-danger'}">${r.nes.toFixed(3)}</td>
+            <td>${formatP(r.pValue)}</td>
+            <td class="${r.fdr <= state.filters.fdr ? 'text-success font-weight-bold' : ''}">${formatP(r.fdr)}</td>
+            <td class="alias-text" title="${esc(r.leadingEdge.map(g => getPreferredName(g, state.sourceSpecies)).join(', '))}">${r.leadingEdge.length}</td>
+        </tr>`).join('');
+    tbody.querySelectorAll('tr[data-term]').forEach(tr => {
+        tr.addEventListener('click', () => {
+            state.gseaSelected[type] = tr.dataset.term;
+            updateGSEAView(type);
+        });
+    });
+
+    const term = result.results.find(r => r.term === selected) || result.results[0];
+    const container = $(`#gsea-plot-${type}`);
+    container.innerHTML = '';
+    const title = type === 'go' ? 'GO Gene Set Enrichment' : 'KEGG Gene Set Enrichment';
+    const svg = window.Plots.createGSEAPlot(term, result.scores || [], palette, title, getPAdjustInfo().label);
+    if (svg) container.appendChild(svg);
+    else container.innerHTML = '<div class="text-muted p-3">No running-score data for this term.</div>';
+
+    updateShareURL();
+}
+
+function exportGSEA(type, format) {
+    const result = state.gseaResults && state.gseaResults[type];
+    if (!result) return alert('No GSEA results to export. Run an analysis first.');
+
+    const name = `${type}_gsea`;
+    if (format === 'csv') {
+        window.Export.downloadGSEACSV(result.results, `${name}.csv`, (g) => getPreferredName(g, state.sourceSpecies), {
+            pAdjust: state.pAdjust,
+        });
+        return;
+    }
+    const svg = $(`#gsea-plot-${type} svg`);
+    if (!svg) return alert('No plot to export. Select a term first.');
+    const term = (state.gseaSelected[type] || result.results[0].term).replace(/[^\w.-]+/g, '_');
+    if (format === 'png') window.Export.downloadPNG(svg, `${name}_${term}.png`);
+    else if (format === 'svg') window.Export.downloadSVG(svg, `${name}_${term}.svg`);
+    else if (format === 'pdf') window.Export.downloadPDF(svg, `${name}_${term}.pdf`);
+}
+
 // ===== UI Helpers =====
 function showLoading(text) {
     els.loadingText.textContent = text;
@@ -1079,6 +2797,8 @@ function hideLoading() { els.loadingOverlay.hidden = true; }
 function switchTab(tabName) {
     $$('.tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tabName));
     $$('.tab-content').forEach(tc => tc.classList.toggle('active', tc.id === `tab-${tabName}`));
+    state.activeTab = tabName;
+    updateShareURL();
 }
 
 function switchModalTab(targetId) {
@@ -1102,6 +2822,18 @@ function renderDBVersions() {
       <a class="db-card-url" href="${esc(db.url)}" target="_blank">${esc(db.url)}</a>
     </div>`;
     }
+    // GO DAG card (loaded with the first propagated GO enrichment)
+    if (state.goDag) {
+        html += `<div class="db-card">
+      <div class="db-card-header">
+        <span class="db-card-name">GO DAG (go-basic)</span>
+        <span class="db-card-version">${esc(state.goDag.dataVersion || '')}</span>
+      </div>
+      <div class="db-card-desc">Ontology structure used to propagate GO annotations (is_a, part_of)</div>
+      <div class="db-card-date">Terms: ${Object.keys(state.goDag.terms).length}</div>
+      <a class="db-card-url" href="https://geneontology.org/docs/download-ontology/" target="_blank">https://geneontology.org/docs/download-ontology/</a>
+    </div>`;
+    }
     // Phylogeny database card
     if (state.phylogenyData && state.phylogenyData.metadata) {
         const pm = state.phylogenyData.metadata;
@@ -1118,6 +2850,406 @@ function renderDBVersions() {
     els.dbVersionList.innerHTML = html;
 }
 
+// ===== Shareable URL State =====
+let lastShareHash = '';
+
+/** Snapshot of the last analysis run plus the current result view settings. */
+function getAnalysisState() {
+    return {
+        source: state.sourceSpecies,
+        mode: state.inputMode,
+        genes: state.genes,
+        background: state.background,
+        propagate: state.goPropagate,
+        goMethod: state.goMethod,
+        goView: state.goView === 'reduced' ? `${state.goReduce.measure}:${state.goReduce.threshold}` : null,
+        emap: `${state.emap.measure}:${state.emap.cutoff}`,
+        filters: changedResultFilters(),
+        pAdjust: state.pAdjust,
+        alternative: state.testAlternative,
+        domainCategory: state.domainCategory,
+        compareDb: state.compareDb,
+        conservationDb: state.conservationDb,
+        networkDepth: state.networkDepth,
+        networkMaxPartners: state.networkMaxPartners,
+        networkInduced: state.networkInduced,
+        ppiChannels: state.ppiChannels,
+        networkHubMetric: state.networkHubMetric,
+        networkSizeBy: state.networkSizeBy,
+        networkModules: state.networkModules,
+        geneSets: state.geneSets,  // kept in sessions and projects, not in shared links
+        targets: state.targetSpecies,
+        threshold: state.scoreThreshold,
+        tab: state.activeTab,
+        plotType: state.enrichmentPlotType,
+        topN: { ...state.enrichmentTopN },
+        palette: { ...state.enrichmentPalette },
+    };
+}
+
+/** Fill the query form and result view settings from an analysis state. */
+function applyAnalysisState(s) {
+    els.sourceSelect.value = s.source;
+    els.inputMode.value = s.mode === 'ranked' ? 'ranked' : 'list';
+    updateInputModeUI();
+    els.geneInput.value = s.genes.join('\n');
+    els.backgroundInput.value = (s.background || []).join('\n');
+    const targets = new Set(s.targets || []);
+    $$('#target-species-list input').forEach(cb => cb.checked = targets.has(cb.value));
+    if (s.threshold >= 400 && s.threshold <= 999) {
+        els.scoreSlider.value = s.threshold;
+        els.scoreValue.value = s.threshold;
+    }
+    if (s.plotType) state.enrichmentPlotType = s.plotType;
+    if (s.propagate !== undefined) state.goPropagate = s.propagate !== false;
+    if (s.goMethod) state.goMethod = s.goMethod === 'weight01' ? 'childRemoval' : s.goMethod;
+    state.pAdjust = window.Enrichment.P_ADJUST_METHODS[s.pAdjust] ? s.pAdjust : 'BH';
+    state.testAlternative = window.Enrichment.TEST_ALTERNATIVES[s.alternative] ? s.alternative : 'greater';
+    state.domainCategory = s.domainCategory || null;
+    state.compareDb = s.compareDb === 'kegg' ? 'kegg' : 'go';
+    state.conservationDb = s.conservationDb === 'kegg' ? 'kegg' : 'go';
+    state.networkDepth = s.networkDepth === 2 ? 2 : 1;
+    state.networkMaxPartners = NETWORK_MAX_PARTNERS.includes(s.networkMaxPartners) ? s.networkMaxPartners : 10;
+    state.networkInduced = !!s.networkInduced;
+    state.networkHubMetric = window.PPINetwork.NETWORK_METRICS[s.networkHubMetric] ? s.networkHubMetric : 'degree';
+    state.networkSizeBy = window.PPINetwork.NETWORK_METRICS[s.networkSizeBy] ? s.networkSizeBy : null;
+    state.networkModules = !!s.networkModules;
+    const channels = (s.ppiChannels || []).filter(k => window.PPINetwork.PPI_CHANNELS.some(c => c.key === k));
+    state.ppiChannels = channels.length > 0 && channels.length < window.PPINetwork.PPI_CHANNELS.length ? channels : null;
+    // Sessions and projects without sets, and shared links, must not keep earlier sets
+    state.geneSets = s.geneSets || null;
+    updateGeneSetsStatus();
+    if (s.emap) {
+        const [measure, cutoff] = s.emap.split(':');
+        // Snap to the nearest offered cutoff so the select shows what is drawn
+        const value = parseFloat(cutoff) || 0.25;
+        const nearest = EMAP_CUTOFFS.reduce((best, c) => (Math.abs(c - value) < Math.abs(best - value) ? c : best));
+        state.emap = { measure: measure === 'overlap' ? 'overlap' : 'jaccard', cutoff: nearest };
+    }
+    // States saved before filters were shared carry none; keep the local ones then
+    if (s.filters) state.filters = mergeResultFilters(s.filters);
+    if (s.goView) {
+        const [measure, threshold] = s.goView.split(':');
+        state.goView = 'reduced';
+        state.goReduce = { measure: measure === 'resnik' ? 'resnik' : 'lin', threshold: parseFloat(threshold) || 0.7 };
+    } else {
+        state.goView = 'full';
+    }
+    state.enrichmentTopN = { ...(s.topN || {}) };
+    state.enrichmentPalette = { ...(s.palette || {}) };
+    updateAutoDetectHint();
+}
+
+/** Mirror the current analysis into location.hash so the page can be shared or reloaded. */
+async function updateShareURL() {
+    if (!state.sourceSpecies || state.analysisRunning) return;
+    const hash = await window.Session.encodeStateToHash(getAnalysisState());
+    if (hash === lastShareHash) return;
+    lastShareHash = hash;
+    history.replaceState(null, '', `#${hash}`);
+}
+
+/** Re-run the analysis encoded in location.hash, if any. */
+async function restoreFromURL() {
+    const hash = location.hash.replace(/^#/, '');
+    if (!hash || hash === lastShareHash) return;
+
+    const s = await window.Session.decodeStateFromHash(hash);
+    if (!s) return;
+    if (!state.speciesList.some(sp => sp.taxid === s.source)) {
+        return alert(`The shared link refers to an unknown species (${s.source}).`);
+    }
+
+    lastShareHash = hash;
+    applyAnalysisState(s);
+    await runAnalysis({ initialTab: s.tab });
+}
+
+async function copyShareURL() {
+    await updateShareURL();
+    try {
+        await navigator.clipboard.writeText(location.href);
+        els.shareBtn.textContent = 'Link Copied';
+    } catch (err) {
+        // Clipboard API needs a secure context; fall back to a prompt the user can copy from
+        prompt('Copy this link:', location.href);
+    }
+    setTimeout(() => els.shareBtn.textContent = 'Share', 1500);
+}
+
+// ===== Saved Sessions =====
+function renderSessionList(selectedId) {
+    const sessions = window.Session.listSessions();
+    if (sessions.length === 0) {
+        els.sessionSelect.innerHTML = '<option value="">No saved sessions</option>';
+        return;
+    }
+    els.sessionSelect.innerHTML = sessions.map(e => {
+        const date = new Date(e.savedAt).toLocaleString();
+        return `<option value="${esc(e.id)}" ${e.id === selectedId ? 'selected' : ''}>${esc(e.name)} (${esc(date)})</option>`;
+    }).join('');
+}
+
+/** Enrichment payload stored with sessions and projects for the current input mode. */
+function getEnrichmentSnapshot() {
+    if (state.inputMode === 'ranked') return state.gseaResults ? { gsea: state.gseaResults } : null;
+    if (!state.goEnrichmentResults || !state.keggEnrichmentResults) return null;
+    const snapshot = { go: state.goEnrichmentResults, kegg: state.keggEnrichmentResults };
+    if (state.customEnrichmentResults) snapshot.custom = state.customEnrichmentResults;
+    if (state.domainEnrichmentResults) snapshot.domain = state.domainEnrichmentResults;
+    if (state.compareResults) snapshot.compare = state.compareResults;
+    if (state.conservationResults) snapshot.conservation = state.conservationResults;
+    return snapshot;
+}
+
+async function saveCurrentSession() {
+    const enrichment = getEnrichmentSnapshot();
+    if (!enrichment) return alert('Run an analysis before saving a session.');
+    const name = prompt('Session name:', state.genes.slice(0, 3).join(', '));
+    if (!name || !name.trim()) return;
+
+    try {
+        const entry = await window.Session.saveSession(name.trim(), getAnalysisState(), enrichment);
+        renderSessionList(entry.id);
+    } catch (err) {
+        console.error('Session save error:', err);
+        alert('Failed to save session: ' + err.message);
+    }
+}
+
+async function restoreSelectedSession() {
+    const id = els.sessionSelect.value;
+    if (!id) return;
+
+    try {
+        const session = await window.Session.loadSession(id);
+        if (!session) return alert('Saved session not found.');
+        applyAnalysisState(session.state);
+        await runAnalysis({ initialTab: session.state.tab, enrichment: session.results || undefined });
+    } catch (err) {
+        console.error('Session restore error:', err);
+        alert('Failed to restore session: ' + err.message);
+    }
+}
+
+function renameSelectedSession() {
+    const id = els.sessionSelect.value;
+    if (!id) return;
+    const current = window.Session.listSessions().find(e => e.id === id);
+    const name = prompt('New session name:', current ? current.name : '');
+    if (!name || !name.trim()) return;
+    window.Session.renameSession(id, name.trim());
+    renderSessionList(id);
+}
+
+async function deleteSelectedSession() {
+    const id = els.sessionSelect.value;
+    if (!id) return;
+    const current = window.Session.listSessions().find(e => e.id === id);
+    if (!confirm(`Delete saved session "${current ? current.name : id}"?`)) return;
+
+    try {
+        await window.Session.deleteSession(id);
+        renderSessionList();
+    } catch (err) {
+        console.error('Session delete error:', err);
+        alert('Failed to delete session: ' + err.message);
+    }
+}
+
+// ===== Project Files =====
+// Interactions kept in project files: above the threshold by combined score or by the selected channels
+function passesPPIThreshold(i) {
+    return i.s >= state.scoreThreshold || window.PPINetwork.evidenceScore(i, state.ppiChannels) >= state.scoreThreshold;
+}
+
+function pickKeys(obj, keys) {
+    const out = {};
+    if (!obj) return out;
+    for (const k of keys) {
+        if (obj[k] !== undefined) out[k] = obj[k];
+    }
+    return out;
+}
+
+/**
+ * Copy the parts of a species' data needed to re-render results for the given proteins.
+ * KEGG gene_pathways is keyed by gene name, so names and aliases are included as keys.
+ */
+function buildSpeciesSnapshot(taxid, proteinIds) {
+    const data = state.cache[taxid];
+    const pids = [...proteinIds];
+
+    const keggKeys = new Set(pids);
+    for (const pid of pids) {
+        const name = data.info?.[pid]?.name;
+        if (name) keggKeys.add(name);
+        for (const alias of data.aliases?.[pid] || []) {
+            keggKeys.add(alias);
+            keggKeys.add(alias.toUpperCase());
+            keggKeys.add(alias.toLowerCase());
+        }
+    }
+    const genePathways = pickKeys(data.keggPathways?.gene_pathways, keggKeys);
+    const pathwayIds = new Set();
+    for (const pws of Object.values(genePathways)) {
+        for (const pw of pws) pathwayIds.add(pw.replace(/^path:/, ''));
+    }
+
+    const ppi = {};
+    for (const pid of pids) {
+        if (data.ppi?.[pid]) ppi[pid] = data.ppi[pid].filter(passesPPIThreshold);
+    }
+
+    return {
+        aliases: pickKeys(data.aliases, pids),
+        ppi,
+        info: pickKeys(data.info, pids),
+        go: pickKeys(data.go, pids),
+        kegg: pickKeys(data.kegg, pids),
+        keggPathways: { pathways: pickKeys(data.keggPathways?.pathways, pathwayIds), gene_pathways: genePathways },
+        otherTerms: pickKeys(data.otherTerms, pids),
+    };
+}
+
+/** Copy the orthogroups and gene trees of the resolved genes from the phylogeny data. */
+function buildPhylogenySnapshot() {
+    const phylo = state.phylogenyData;
+    if (!phylo) return null;
+
+    const snapshot = {
+        orthogroups: { gene_to_og: {}, og_members: {} },
+        trees: {},
+        metadata: phylo.metadata,
+        taxidNames: phylo.taxidNames,
+    };
+    for (const { proteinId } of state.resolvedGenes) {
+        if (!proteinId) continue;
+        const og = window.Phylogeny.findOrthogroup(proteinId, state.sourceSpecies, phylo);
+        if (!og) continue;
+        snapshot.orthogroups.gene_to_og[og.matchedId] = og.ogId;
+        snapshot.orthogroups.og_members[og.ogId] = phylo.orthogroups.og_members[og.ogId] || [];
+        if (phylo.trees[og.ogId]) snapshot.trees[og.ogId] = phylo.trees[og.ogId];
+    }
+    return snapshot;
+}
+
+function exportProject() {
+    const enrichment = getEnrichmentSnapshot();
+    if (!enrichment) return alert('Run an analysis before exporting a project.');
+
+    // Source species: query genes plus everything shown in the PPI tab and network
+    const sourcePids = new Set(state.resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId));
+    for (const pid of [...sourcePids]) {
+        for (const i of state.cache[state.sourceSpecies].ppi?.[pid] || []) {
+            if (passesPPIThreshold(i)) sourcePids.add(i.p);
+        }
+    }
+    for (const n of state._network?.nodes || []) sourcePids.add(n.id);
+    const snapshot = { [state.sourceSpecies]: buildSpeciesSnapshot(state.sourceSpecies, sourcePids) };
+
+    // Target species: matched orthologs only
+    for (const taxid of state.targetSpecies) {
+        if (taxid === state.sourceSpecies || !state.cache[taxid]) continue;
+        const pids = new Set();
+        for (const entry of state.orthologRows || []) {
+            for (const t of entry.targets) {
+                if (t.taxid === taxid) t.matches.forEach(m => pids.add(m.proteinId));
+            }
+        }
+        snapshot[taxid] = buildSpeciesSnapshot(taxid, pids);
+    }
+
+    const project = window.Session.createProject({
+        metadata: state.metadata,
+        inputs: getAnalysisState(),
+        resolvedGenes: state.resolvedGenes,
+        orthologs: state.orthologRows,
+        ppi: state.ppiRows,
+        enrichment,
+        species: snapshot,
+        phylogeny: buildPhylogenySnapshot(),
+    });
+    const stamp = new Date().toISOString().slice(0, 10);
+    window.Export.downloadJSON(project, `generelate_project_${state.sourceSpecies}_${stamp}.json`);
+}
+
+/** Rebuild every result tab from a project file, without loading species data. */
+async function importProject(file) {
+    let project;
+    try {
+        project = window.Session.parseProject(await file.text());
+    } catch (err) {
+        return alert('Could not open project file: ' + err.message);
+    }
+
+    const inputs = project.inputs;
+    for (const [taxid, snapshot] of Object.entries(project.species)) {
+        state.cache[taxid] = { nameLookup: {}, ...snapshot, isSnapshot: true };
+    }
+    if (project.phylogeny) {
+        state.phylogenyData = { ...project.phylogeny, isSnapshot: true };
+    }
+
+    applyAnalysisState(inputs);
+    state.sourceSpecies = inputs.source;
+    state.genes = inputs.genes;
+    state.background = inputs.background || [];
+    state.targetSpecies = inputs.targets;
+    state.scoreThreshold = inputs.threshold;
+    state.resolvedGenes = project.resolvedGenes;
+    resetNetworkLayout();
+    try {
+        if (inputs.mode === 'ranked') {
+            state.inputMode = 'ranked';
+            state.gseaResults = project.enrichment.gsea;
+            showRankedResults(inputs.tab);
+            return;
+        }
+        state.inputMode = 'list';
+        state.gseaResults = null;
+        state.orthologRows = project.orthologs;
+        state.ppiRows = project.ppi;
+        state.goEnrichmentResults = project.enrichment.go;
+        state.keggEnrichmentResults = project.enrichment.kegg;
+        state.customEnrichmentResults = project.enrichment.custom || null;
+        state.domainEnrichmentResults = project.enrichment.domain || null;
+        state.compareResults = project.enrichment.compare || null;
+        state.conservationResults = project.enrichment.conservation || null;
+        applyPAdjust();
+        state.analysisRunning = true;
+
+        const { resolvedGenes } = project;
+        renderOrthologResults(project.orthologs || [], resolvedGenes, inputs.source, inputs.targets);
+        renderPPIResults(project.ppi, resolvedGenes, inputs.source);
+        buildPPINetwork(resolvedGenes, inputs.source);
+        buildGOResults(resolvedGenes, inputs.source);
+        buildKEGGResults(resolvedGenes, inputs.source);
+        buildDomainResults(resolvedGenes, inputs.source);
+        buildEnrichmentTab('go', project.enrichment.go, inputs.source);
+        buildEnrichmentTab('kegg', project.enrichment.kegg, inputs.source);
+        if (state.customEnrichmentResults) buildEnrichmentTab('custom', state.customEnrichmentResults, inputs.source);
+        buildDomainEnrichmentTab();
+        buildCompareTab();
+        buildConservationTab();
+        window.Phylogeny.buildPhylogenyTab(resolvedGenes, inputs.source, inputs.targets, state.phylogenyData);
+        addGeneNavigation('#tab-phylogeny');
+
+        setResultTabsMode('list');
+        state.analysisRunning = false;
+        els.resultsPlaceholder.hidden = true;
+        els.resultsContent.hidden = false;
+        els.shareBtn.hidden = false;
+        switchTab(inputs.tab || 'aliases');
+    } catch (err) {
+        console.error('Project import error:', err);
+        alert('Could not display project: ' + err.message);
+    } finally {
+        // A project that fails to render must not leave sharing and reruns locked
+        state.analysisRunning = false;
+    }
+}
+
 // ===== Theme =====
 function initTheme() {
     const saved = localStorage.getItem('gr-theme');
@@ -1137,15 +3269,27 @@ function initTheme() {
             const activeKeggPlot = document.querySelector('#tab-kegg-enrichment .plot-toggle.active');
             updateEnrichmentPlotAndTable('kegg', activeKeggPlot?.dataset.plot || 'bar');
         }
+        for (const type of ['custom', 'domain']) {
+            const result = getEnrichmentResult(type);
+            if (!result || result.results.length === 0) continue;
+            const activePlot = document.querySelector(`#tab-${type}-enrichment .plot-toggle.active`);
+            updateEnrichmentPlotAndTable(type, activePlot?.dataset.plot || 'bar');
+        }
+        if (state.compareResults) updateComparePlotAndTable();
+        if (state.conservationResults) updateConservationPlot();
+        if (state.gseaResults) {
+            updateGSEAView('go');
+            updateGSEAView('kegg');
+        }
+        if (state.inputMode === 'ranked') return;
         // Re-render network if exists
         const btn = $('#net-svg-btn');
         if (btn && !els.resultsContent.hidden) {
-            buildPPINetwork(state.genes.map(g => ({ query: g, proteinId: resolveGene(g, state.sourceSpecies) })), state.sourceSpecies);
+            buildPPINetwork(state.resolvedGenes, state.sourceSpecies);
         }
         // Re-render phylogeny trees if exists
         if (state.phylogenyData && !els.resultsContent.hidden) {
-            const resolvedGenes = state.genes.map(g => ({ query: g, proteinId: resolveGene(g, state.sourceSpecies) }));
-            window.Phylogeny.buildPhylogenyTab(resolvedGenes, state.sourceSpecies, state.targetSpecies, state.phylogenyData);
+            window.Phylogeny.buildPhylogenyTab(state.resolvedGenes, state.sourceSpecies, state.targetSpecies, state.phylogenyData);
             addGeneNavigation('#tab-phylogeny');
         }
     });
@@ -1154,6 +3298,7 @@ function initTheme() {
 // ===== Initialization =====
 async function init() {
     initTheme();
+    state.filters = loadResultFilters();
 
     const [speciesList, metadata] = await Promise.all([
         fetchJSON('data/species.json'),
@@ -1215,6 +3360,30 @@ async function init() {
     });
 
     els.analyzeBtn.addEventListener('click', () => runAnalysis());
+    els.inputMode.addEventListener('change', updateInputModeUI);
+
+    // Custom enrichment background
+    const backgroundFile = $('#background-file-input');
+    $('#background-file-btn').addEventListener('click', () => backgroundFile.click());
+    backgroundFile.addEventListener('change', async () => {
+        const file = backgroundFile.files[0];
+        backgroundFile.value = '';
+        if (file) els.backgroundInput.value = parseGeneList(await file.text()).join('\n');
+    });
+    $('#background-clear-btn').addEventListener('click', () => els.backgroundInput.value = '');
+
+    // Custom gene sets (GMT / TSV)
+    const geneSetsFile = $('#gene-sets-file-input');
+    $('#gene-sets-file-btn').addEventListener('click', () => geneSetsFile.click());
+    geneSetsFile.addEventListener('change', async () => {
+        const file = geneSetsFile.files[0];
+        geneSetsFile.value = '';
+        if (file) await loadGeneSetsFile(file);
+    });
+    $('#gene-sets-clear-btn').addEventListener('click', () => {
+        state.geneSets = null;
+        updateGeneSetsStatus();
+    });
 
     $$('.tab').forEach(t => t.addEventListener('click', () => switchTab(t.dataset.tab)));
 
@@ -1245,6 +3414,28 @@ async function init() {
     $('#net-png-btn').addEventListener('click', () => exportNet('png'));
     $('#net-svg-btn').addEventListener('click', () => exportNet('svg'));
     $('#net-pdf-btn').addEventListener('click', () => exportNet('pdf'));
+
+    // Saved sessions
+    renderSessionList();
+    $('#session-save-btn').addEventListener('click', () => saveCurrentSession());
+    $('#session-load-btn').addEventListener('click', () => restoreSelectedSession());
+    $('#session-rename-btn').addEventListener('click', () => renameSelectedSession());
+    $('#session-delete-btn').addEventListener('click', () => deleteSelectedSession());
+
+    // Project files
+    $('#project-export-btn').addEventListener('click', () => exportProject());
+    const projectInput = $('#project-file-input');
+    $('#project-import-btn').addEventListener('click', () => projectInput.click());
+    projectInput.addEventListener('change', async () => {
+        const file = projectInput.files[0];
+        projectInput.value = '';
+        if (file) await importProject(file);
+    });
+
+    // Shareable links
+    els.shareBtn.addEventListener('click', () => copyShareURL());
+    window.addEventListener('hashchange', () => restoreFromURL());
+    await restoreFromURL();
 }
 
 // ===== Table Sorting =====
@@ -1269,7 +3460,7 @@ function makeTableSortable(table) {
             } else {
                 th.classList.add(newDir);
                 const rows = Array.from(tbody.querySelectorAll('tr'));
-                const type = th.innerText.toLowerCase().match(/score|degree|value|fdr|fold|bg|genes/) ? 'number' : 'string';
+                const type = th.dataset.sort || th.innerText.toLowerCase().match(/score|degree|value|fdr|fold|bg|genes|size|n?es$|edge|ratio| p$/) ? 'number' : 'string';
 
                 rows.sort((a, b) => {
                     const aCell = a.children[index];
@@ -1364,12 +3555,42 @@ function buildTooltipHTML(pid, taxid) {
     return html;
 }
 
+/** Tooltip for a plotted enrichment term: statistics and member genes by preferred name. */
+function buildTermTooltipHTML(type, term) {
+    const result = getEnrichmentResult(type);
+    const r = result && result.results.find(x => x.term === term);
+    if (!r) return null;
+
+    const formatP = (p) => (p < 0.001 ? p.toExponential(2) : p.toFixed(4));
+    const names = (r.genes || []).map(g => getPreferredName(g, state.sourceSpecies)).sort();
+    const shown = names.slice(0, 20).join(', ') + (names.length > 20 ? `, … (${names.length - 20} more)` : '');
+
+    let html = `<div class="gene-tooltip-header">`;
+    html += `<span class="gene-tooltip-name">${esc(r.term)}</span>`;
+    html += `</div>`;
+    if (r.description) html += `<div class="gene-tooltip-annotation">${esc(r.description)}</div>`;
+    html += `<div class="gene-tooltip-section">`;
+    html += `P ${formatP(r.pValue)} · ${esc(getPAdjustInfo().label)} ${formatP(r.fdr)} · Fold ${r.fold.toFixed(2)} · ${r.geneCount}/${r.bgCount} genes`;
+    html += `</div>`;
+    html += `<div class="gene-tooltip-section">`;
+    html += `<div class="gene-tooltip-section-title">Genes</div>`;
+    html += `<div>${esc(shown)}</div>`;
+    html += `</div>`;
+    html += `<div class="gene-tooltip-annotation">Click to show in the table</div>`;
+    return html;
+}
+
 function showGeneTooltip(pid, taxid, event) {
     if (!pid || !taxid) return;
+    showTooltip(() => buildTooltipHTML(pid, taxid), event);
+}
+
+/** Show the shared tooltip after a short delay, near the cursor. */
+function showTooltip(buildHTML, event) {
     clearTimeout(tooltipTimer);
 
     tooltipTimer = setTimeout(() => {
-        const html = buildTooltipHTML(pid, taxid);
+        const html = buildHTML();
         if (!html) return;
 
         tooltipEl.innerHTML = html;
@@ -1410,7 +3631,7 @@ function hideGeneTooltip() {
     }, 300);
 }
 
-// Event delegation for [data-pid] elements in results
+// Event delegation for [data-pid] elements and plotted [data-term] shapes in results
 document.addEventListener('mouseover', (e) => {
     // Don't hide if mouse enters the tooltip itself
     if (tooltipEl.contains(e.target)) {
@@ -1423,11 +3644,30 @@ document.addEventListener('mouseover', (e) => {
         const pid = target.dataset.pid;
         const taxid = target.dataset.taxid;
         showGeneTooltip(pid, taxid, e);
+        return;
     }
+    const termEl = plotTermTarget(e.target);
+    if (termEl) showTooltip(() => buildTermTooltipHTML(termEl.type, termEl.term), e);
+});
+
+/** { type, term } for a data-term shape in an over-representation plot, or null. */
+function plotTermTarget(el) {
+    const shape = el.closest && el.closest('.enrichment-plot-container [data-term]');
+    if (!shape) return null;
+    const type = shape.closest('.enrichment-plot-container').id.replace('enrichment-plot-', '');
+    return ENRICHMENT_TYPES[type] ? { type, term: shape.getAttribute('data-term') } : null;
+}
+
+// Clicking a plotted term selects it in the results table
+document.addEventListener('click', (e) => {
+    const termEl = plotTermTarget(e.target);
+    if (!termEl) return;
+    hideGeneTooltip();
+    selectEnrichmentTerm(termEl.type, termEl.term);
 });
 
 document.addEventListener('mouseout', (e) => {
-    const target = e.target.closest('[data-pid]');
+    const target = e.target.closest('[data-pid]') || plotTermTarget(e.target);
     if (target) {
         // Check if mouse is moving to the tooltip
         const related = e.relatedTarget;
@@ -0,0 +1,94 @@
+/**
+ * geneRelate — Enrichment Worker
+ * Runs GO and KEGG enrichment off the main thread. Each species' background is
+ * decoded from its precomputed index (or built from the raw annotations when there is
+ * none) once and kept, so repeat runs skip the rebuild. The page posts the data it has
+ * already loaded; the worker downloads nothing itself.
+ *
+ * Message in:  { id, taxid, queryIds: [protein IDs], keggGenes: [KEGG gene names],
+ *                universe: { proteinIds, keggGenes } | null  (custom background),
+ *                propagate, goMethod, alternative, goDag  (DAG only on the first job that needs it),
+ *                goIndex, keggIndex, goData, keggPathways }  (first job for a species only: the indexes,
+ *                or go.json / kegg_pathways.json data where there is no index; may be null)
+ *              or { id, kind: 'gsea', taxid, ranked: [{ id, score }], keggRanked, propagate, goDag,
+ *                   goIndex, keggIndex, goData, keggPathways }
+ * Messages out: { id, type: 'progress', text } then { id, type: 'result', result: { go, kegg } }
+ *               (go.ic holds term information content when a GO DAG is available)
+ *               or { id, type: 'error', error }
+ */
+
+importScripts('ontology.js', 'enrichment.js');
+
+let goDag = null;
+
+async function getGOBackground(taxid, job, dag) {
+    return await self.Enrichment.getGOBackgroundFor(taxid, () =>
+        self.Enrichment.decodeBackgroundIndex(job.goIndex) || self.Enrichment.buildGOBackground(job.goData || {}), dag);
+}
+
+async function getKEGGBackground(taxid, job) {
+    return await self.Enrichment.getCachedBackground(`${taxid}:kegg`, () => {
+        const decoded = self.Enrichment.decodeBackgroundIndex(job.keggIndex);
+        if (decoded) return decoded;
+        if (!job.keggPathways || !job.keggPathways.gene_pathways) return null;
+        return self.Enrichment.buildKEGGBackground(job.keggPathways);
+    });
+}
+
+async function runGSEAJob(job, progress) {
+    const { taxid, ranked, keggRanked, propagate } = job;
+    progress('Indexing GO annotations...');
+    const goBg = await getGOBackground(taxid, job, propagate ? goDag : null);
+    progress('Running GO gene set enrichment...');
+    const go = self.Enrichment.runGSEA(ranked, goBg);
+
+    progress('Indexing KEGG pathways...');
+    const keggBg = await getKEGGBackground(taxid, job);
+    progress('Running KEGG gene set enrichment...');
+    const kegg = keggBg
+        ? self.Enrichment.runGSEA(keggRanked, keggBg)
+        : { results: [], stats: { ranked: ranked.length, mapped: 0, termsTotal: 0, permutations: 0 } };
+    return { go, kegg };
+}
+
+self.onmessage = async (e) => {
+    const { id, taxid, queryIds, keggGenes, universe, propagate, goMethod, alternative } = e.data;
+    if (e.data.goDag) goDag = e.data.goDag;
+    const progress = (text) => self.postMessage({ id, type: 'progress', text });
+
+    if (e.data.kind === 'gsea') {
+        try {
+            self.postMessage({ id, type: 'result', result: await runGSEAJob(e.data, progress) });
+        } catch (err) {
+            self.postMessage({ id, type: 'error', error: err.message });
+        }
+        return;
+    }
+
+    try {
+        progress('Indexing GO annotations...');
+        let goBg = await getGOBackground(taxid, e.data, propagate ? goDag : null);
+        if (universe) goBg = self.Enrichment.restrictBackground(goBg, universe.proteinIds);
+        progress('Running GO enrichment...');
+        // Decorrelation needs propagated annotations, as on the main thread
+        const method = propagate ? goMethod : 'classic';
+        const go = self.Enrichment.runGOEnrichment(queryIds, null, null, goBg, { method, dag: goDag }, alternative);
+        if (goDag) {
+            // Information content (for term reduction) comes from the genome-wide propagated annotations
+            go.ic = self.Ontology.computeInformationContent(
+                await getGOBackground(taxid, e.data, goDag), goDag, go.results.map(r => r.term));
+        }
+
+        progress('Indexing KEGG pathways...');
+        let keggBg = await getKEGGBackground(taxid, e.data);
+        if (keggBg && universe) keggBg = self.Enrichment.restrictBackground(keggBg, universe.keggGenes);
+        progress('Running KEGG enrichment...');
+        const kegg = keggBg
+            ? self.Enrichment.runMappedKEGGEnrichment(keggGenes, queryIds.length, keggBg, alternative)
+            : self.Enrichment.runKEGGEnrichment(queryIds, null);
+
+        self.postMessage({ id, type: 'result', result: { go, kegg } });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', error: err.message });
+    }
+};
@@ -48,6 +48,121 @@ function hypergeomPValue(k, n, K, N) {
     return Math.min(pval, 1);
 }
 
+/**
+ * Fisher's exact test on the 2×2 table of query vs. background and term membership,
+ * with the same N, K, n, k as hypergeomPValue().
+ * Two-sided p sums every table no more probable than the observed one (as R's fisher.test).
+ * @returns {Object} { greater, less, twoSided }
+ */
+function fisherExact(k, n, K, N) {
+    const minI = Math.max(0, n - (N - K));
+    const maxI = Math.min(n, K);
+    if (n <= 0 || K <= 0 || N <= 0 || k < minI || k > maxI) return { greater: 1, less: 1, twoSided: 1 };
+
+    const base = lfact(K) + lfact(N - K) - lfact(N) + lfact(n) + lfact(N - n);
+    const logP = (i) => base - lfact(i) - lfact(K - i) - lfact(n - i) - lfact(N - K - n + i);
+    const observed = logP(k);
+    const tolerance = 1e-7;
+    let greater = 0, less = 0, twoSided = 0;
+    for (let i = minI; i <= maxI; i++) {
+        const lp = logP(i);
+        const p = Math.exp(lp);
+        if (i >= k) greater += p;
+        if (i <= k) less += p;
+        if (lp <= observed + tolerance) twoSided += p;
+    }
+    return { greater: Math.min(greater, 1), less: Math.min(less, 1), twoSided: Math.min(twoSided, 1) };
+}
+
+/**
+ * Sample odds ratio of the 2×2 table with a 95% Woolf (log) confidence interval.
+ * A table with an empty cell gets 0.5 added to every cell (Haldane-Anscombe).
+ * @returns {Object} { oddsRatio, ciLow, ciHigh }
+ */
+function oddsRatioCI(k, n, K, N) {
+    let a = k, b = n - k, c = K - k, d = N - K - n + k;
+    if (a === 0 || b === 0 || c === 0 || d === 0) {
+        a += 0.5; b += 0.5; c += 0.5; d += 0.5;
+    }
+    const logOR = Math.log((a * d) / (b * c));
+    const se = Math.sqrt(1 / a + 1 / b + 1 / c + 1 / d);
+    const round = (x) => Math.round(x * 1000) / 1000;
+    return {
+        oddsRatio: round(Math.exp(logOR)),
+        ciLow: round(Math.exp(logOR - 1.96 * se)),
+        ciHigh: round(Math.exp(logOR + 1.96 * se)),
+    };
+}
+
+// Test alternatives: which tail of fisherExact() becomes a result's pValue
+const TEST_ALTERNATIVES = {
+    greater: 'Enrichment',
+    less: 'Depletion',
+    'two-sided': 'Two-sided',
+};
+
+// ===== Multiple-Testing Correction =====
+
+// Methods for adjustPValues(): short label (column header) and full name (tooltips, stats, CSV)
+const P_ADJUST_METHODS = {
+    BH: { label: 'FDR', name: 'Benjamini-Hochberg' },
+    BY: { label: 'BY FDR', name: 'Benjamini-Yekutieli' },
+    qvalue: { label: 'q-value', name: 'Storey q-value' },
+    holm: { label: 'Holm P', name: 'Holm' },
+    bonferroni: { label: 'Bonferroni P', name: 'Bonferroni' },
+};
+
+// Storey's tuning parameter: p-values above it are taken to come from true nulls
+const QVALUE_LAMBDA = 0.5;
+
+/**
+ * Adjust p-values for multiple testing, writing the adjusted value to each result's .fdr.
+ * The order of results is not changed.
+ *   BH         — Benjamini-Hochberg step-up FDR
+ *   BY         — Benjamini-Yekutieli: BH scaled by sum(1/i), valid under any dependence between tests
+ *   qvalue     — Storey q-values: BH scaled by pi0 = #{p > λ} / (m(1 − λ)), λ = 0.5, capped at 1
+ *   holm       — Holm step-down family-wise error rate
+ *   bonferroni — p · m
+ * @param {Object[]} results - objects with pValue
+ * @param {string} [method] - key of P_ADJUST_METHODS (default BH)
+ * @returns {Object[]} results
+ */
+function adjustPValues(results, method = 'BH') {
+    const m = results.length;
+    if (m === 0) return results;
+    const order = results.map((r, i) => i).sort((a, b) => results[a].pValue - results[b].pValue);
+    const p = (rank) => results[order[rank]].pValue;
+
+    if (method === 'bonferroni') {
+        for (const r of results) r.fdr = Math.min(r.pValue * m, 1);
+        return results;
+    }
+    if (method === 'holm') {
+        let running = 0;
+        for (let i = 0; i < m; i++) {
+            running = Math.max(running, Math.min(p(i) * (m - i), 1));
+            results[order[i]].fdr = running;
+        }
+        return results;
+    }
+
+    let scale = 1;
+    if (method === 'BY') {
+        scale = 0;
+        for (let i = 1; i <= m; i++) scale += 1 / i;
+    } else if (method === 'qvalue') {
+        // With no p-value above λ the estimate is 0; fall back to BH rather than report q = 0
+        const above = results.filter(r => r.pValue > QVALUE_LAMBDA).length;
+        scale = Math.min(above / (m * (1 - QVALUE_LAMBDA)), 1) || 1;
+    }
+    let running = 1;
+    for (let i = m - 1; i >= 0; i--) {
+        running = Math.min(running, (p(i) * m * scale) / (i + 1));
+        results[order[i]].fdr = Math.min(running, 1);
+    }
+    return results;
+}
+
 /**
  * Benjamini-Hochberg FDR correction.
  * Takes array of {pValue, ...} objects, adds .fdr field in-place.
@@ -55,77 +170,211 @@ function hypergeomPValue(k, n, K, N) {
  */
 function bhFDR(results) {
     results.sort((a, b) => a.pValue - b.pValue);
-    const m = results.length;
-    for (let i = m - 1; i >= 0; i--) {
-        const rank = i + 1;
-        const raw = (results[i].pValue * m) / rank;
-        if (i < m - 1) {
-            results[i].fdr = Math.min(raw, results[i + 1].fdr);
-        } else {
-            results[i].fdr = Math.min(raw, 1);
+    return adjustPValues(results, 'BH');
+}
+
+// ===== Background Index =====
+
+// Per-species background indexes, keyed by `${taxid}:${kind}`. Building the GO index
+// walks every annotation in go.json, so it is done once per species and reused.
+const _backgroundCache = {};
+
+function getCachedBackground(key, build) {
+    if (!key) return build();
+    if (!_backgroundCache[key]) {
+        const bg = build();
+        _backgroundCache[key] = bg;
+        // A failed async build is dropped so the next run retries it
+        if (bg && typeof bg.then === 'function') {
+            bg.catch(() => {
+                if (_backgroundCache[key] === bg) delete _backgroundCache[key];
+            });
         }
     }
-    return results;
+    return _backgroundCache[key];
 }
 
-// ===== GO Enrichment =====
-
 /**
- * Run GO enrichment analysis.
- * @param {string[]} queryProteinIds - resolved protein IDs from user input
+ * Build the GO enrichment background from a protein->terms map.
  * @param {Object} goData - protein->terms map from species GO data
  * @param {string} [categoryFilter] - optional: "Biological Process", "Molecular Function", "Cellular Component"
- * @returns {Object} { results: [...], stats: { mapped, total, termsTotal } }
+ * @returns {Object} { N, members: Set, terms: { term -> { desc, category, members: Set } } }
  */
-function runGOEnrichment(queryProteinIds, goData, categoryFilter) {
-    if (!goData || queryProteinIds.length === 0) {
-        return { results: [], stats: { mapped: 0, total: 0, termsTotal: 0 } };
-    }
-
-    // Background: all proteins with GO annotations
-    const bgProteins = Object.keys(goData);
-    const N = bgProteins.length;
-
-    // Build term -> set of background proteins
-    const termBg = {}; // term -> { desc, category, proteins: Set }
-    for (const [pid, terms] of Object.entries(goData)) {
-        if (!Array.isArray(terms)) continue;
-        for (const t of terms) {
+function buildGOBackground(goData, categoryFilter) {
+    const members = new Set(Object.keys(goData));
+    const terms = {};
+    for (const [pid, annotations] of Object.entries(goData)) {
+        if (!Array.isArray(annotations)) continue;
+        for (const t of annotations) {
             if (!t || !t.term) continue;
             const category = t.category || 'Unknown';
             if (categoryFilter && !category.includes(categoryFilter)) continue;
-            if (!termBg[t.term]) {
-                termBg[t.term] = { desc: t.description || '', category, proteins: new Set() };
+            if (!terms[t.term]) {
+                terms[t.term] = { desc: t.description || '', category, members: new Set() };
             }
-            termBg[t.term].proteins.add(pid);
+            terms[t.term].members.add(pid);
         }
     }
+    return { N: members.size, members, terms };
+}
 
-    // Query: filter to proteins present in GO background
-    const queryInBg = queryProteinIds.filter(pid => goData[pid]);
-    const n = queryInBg.length;
-    const querySet = new Set(queryInBg);
+/**
+ * Build the KEGG enrichment background from gene->pathway links.
+ * @param {Object} keggPathwayData - { pathways: {id->name}, gene_pathways: {gene->[pathways]} }
+ * @returns {Object} { N, members: Set, terms: { pathway -> { desc, category, members: Set } } }
+ */
+function buildKEGGBackground(keggPathwayData) {
+    const genePathways = keggPathwayData.gene_pathways;
+    const pathwayNames = keggPathwayData.pathways || {};
+    const members = new Set(Object.keys(genePathways));
+    const terms = {};
+    for (const [gene, pathways] of Object.entries(genePathways)) {
+        if (!Array.isArray(pathways)) continue;
+        for (const pw of pathways) {
+            if (!terms[pw]) {
+                const lookup = pw.replace(/^path:/, '');
+                terms[pw] = { desc: pathwayNames[lookup] || pw, category: 'KEGG Pathway', members: new Set() };
+            }
+            terms[pw].members.add(gene);
+        }
+    }
+    return { N: members.size, members, terms };
+}
 
-    if (n === 0) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length } };
+// ===== Precomputed Background Index =====
+
+// Compact on-disk form of a background, written per species as go_index.json and
+// kegg_index.json by scripts/build-enrichment-index.js:
+//   { format, version, kind, members: [id, ...], terms: [[term, description, category, deltas], ...] }
+// N is members.length. Each term's members are indices into `members`, sorted and
+// delta-encoded (first index, then differences) to keep the numbers small.
+const BG_INDEX_FORMAT = 'generelate-bg-index';
+const BG_INDEX_VERSION = 1;
+
+/**
+ * Encode a background for storage.
+ * @param {Object} bg - from buildGOBackground() / buildKEGGBackground()
+ * @param {string} kind - 'go' or 'kegg'
+ */
+function encodeBackgroundIndex(bg, kind) {
+    const members = [...bg.members].sort();
+    const position = new Map(members.map((id, i) => [id, i]));
+    const terms = Object.entries(bg.terms).map(([term, info]) => {
+        const idx = [...info.members].map(id => position.get(id)).sort((a, b) => a - b);
+        const deltas = idx.map((v, i) => (i === 0 ? v : v - idx[i - 1]));
+        return [term, info.desc, info.category, deltas];
+    });
+    return { format: BG_INDEX_FORMAT, version: BG_INDEX_VERSION, kind, members, terms };
+}
+
+/** Whether a loaded index file is in the format and version this code can decode. */
+function isBackgroundIndex(index) {
+    return !!index && index.format === BG_INDEX_FORMAT && index.version === BG_INDEX_VERSION
+        && Array.isArray(index.members) && Array.isArray(index.terms);
+}
+
+/**
+ * Decode a stored background index.
+ * @returns {Object|null} background in the buildGOBackground() shape, or null if the index is unusable
+ */
+function decodeBackgroundIndex(index) {
+    if (!isBackgroundIndex(index)) return null;
+
+    const ids = index.members;
+    const terms = {};
+    for (const [term, desc, category, deltas] of index.terms) {
+        const members = new Set();
+        let pos = 0;
+        for (let i = 0; i < deltas.length; i++) {
+            pos = i === 0 ? deltas[0] : pos + deltas[i];
+            members.add(ids[pos]);
+        }
+        terms[term] = { desc, category, members };
     }
+    return { N: ids.length, members: new Set(ids), terms };
+}
 
-    // Test each term
+/**
+ * Rebuild the protein->terms map of go.json from a GO background, so go.json need not be
+ * downloaded when go_index.json is present.
+ * @param {Object} bg - from decodeBackgroundIndex()
+ * @returns {Object} protein ID -> [{ term, description, category }]
+ */
+function goDataFromBackground(bg) {
+    const goData = {};
+    for (const id of bg.members) goData[id] = [];
+    for (const [term, info] of Object.entries(bg.terms)) {
+        for (const id of info.members) goData[id].push({ term, description: info.desc, category: info.category });
+    }
+    return goData;
+}
+
+/**
+ * Rebuild kegg_pathways.json from a KEGG background (see goDataFromBackground()).
+ * @param {Object} bg - from decodeBackgroundIndex()
+ * @returns {Object} { pathways: {id->name}, gene_pathways: {gene->[pathways]} }
+ */
+function keggPathwaysFromBackground(bg) {
+    const pathways = {};
+    const genePathways = {};
+    for (const gene of bg.members) genePathways[gene] = [];
+    for (const [pw, info] of Object.entries(bg.terms)) {
+        // buildKEGGBackground() falls back to the pathway ID when the name is unknown
+        if (info.desc !== pw) pathways[pw.replace(/^path:/, '')] = info.desc;
+        for (const gene of info.members) genePathways[gene].push(pw);
+    }
+    return { pathways, gene_pathways: genePathways };
+}
+
+// ===== Custom Background =====
+
+/**
+ * Restrict a background to a user-supplied universe (e.g. genes expressed in an experiment).
+ * Terms left without members are dropped.
+ * @param {Object} bg - background from buildGOBackground() / buildKEGGBackground()
+ * @param {string[]} universe - identifiers in the same namespace as bg.members
+ * @returns {Object} new background; bg itself is not modified
+ */
+function restrictBackground(bg, universe) {
+    const members = new Set(universe.filter(id => bg.members.has(id)));
+    const terms = {};
+    for (const [term, info] of Object.entries(bg.terms)) {
+        const kept = new Set([...info.members].filter(id => members.has(id)));
+        if (kept.size > 0) terms[term] = { desc: info.desc, category: info.category, members: kept };
+    }
+    return { N: members.size, members, terms, custom: true, propagated: !!bg.propagated };
+}
+
+/**
+ * Fisher's exact test of every background term against a query set, with BH correction.
+ * Each result carries all three tails (pEnriched, pDepleted, pTwoSided) and the odds ratio
+ * with its 95% CI; pValue is the tail chosen by `alternative`. The enrichment test skips
+ * terms without query genes, the others keep them, since a term can only be depleted there.
+ * @param {string[]} queryInBg - query identifiers already restricted to the background
+ * @param {Object} bg - background from buildGOBackground() / buildKEGGBackground()
+ * @param {string} [alternative='greater'] - key of TEST_ALTERNATIVES
+ * @returns {Object[]} results sorted by p-value
+ */
+function testTerms(queryInBg, bg, alternative = 'greater') {
+    const n = queryInBg.length;
+    const N = bg.N;
     const results = [];
-    for (const [term, info] of Object.entries(termBg)) {
-        const K = info.proteins.size;
+
+    for (const [term, info] of Object.entries(bg.terms)) {
+        const K = info.members.size;
         // Count overlap
         let k = 0;
         const geneHits = [];
-        for (const pid of queryInBg) {
-            if (info.proteins.has(pid)) {
+        for (const id of queryInBg) {
+            if (info.members.has(id)) {
                 k++;
-                geneHits.push(pid);
+                geneHits.push(id);
             }
         }
-        if (k === 0) continue;
+        if (k === 0 && alternative === 'greater') continue;
 
-        const pValue = hypergeomPValue(k, n, K, N);
+        const tails = fisherExact(k, n, K, N);
+        const pValue = alternative === 'less' ? tails.less : alternative === 'two-sided' ? tails.twoSided : tails.greater;
         const expectedK = (K / N) * n;
         const fold = expectedK > 0 ? k / expectedK : 0;
 
@@ -134,6 +383,10 @@ function runGOEnrichment(queryProteinIds, goData, categoryFilter) {
             description: info.desc,
             category: info.category,
             pValue,
+            pEnriched: tails.greater,
+            pDepleted: tails.less,
+            pTwoSided: tails.twoSided,
+            ...oddsRatioCI(k, n, K, N),
             fdr: 1,
             fold: Math.round(fold * 100) / 100,
             geneCount: k,
@@ -144,60 +397,151 @@ function runGOEnrichment(queryProteinIds, goData, categoryFilter) {
         });
     }
 
-    bhFDR(results);
+    return bhFDR(results);
+}
+
+// ===== GO Decorrelation (topGO elim, child removal) =====
+
+// elim: genes of terms with p below this cutoff are removed from their ancestors (topGO default)
+const ELIM_CUTOFF = 0.01;
+
+/**
+ * Decorrelated p-values for every term of a GO background (Alexa et al., 2006).
+ * Terms are visited children-first; a descendant always has more ancestors than
+ * its parent, so sorting by ancestor count gives a valid order.
+ *   elim     — genes of a term significant at ELIM_CUTOFF are removed from all its ancestors.
+ *   childRemoval — when a child is more significant than its parent, the child's genes are
+ *              removed from the parent and its ancestors and the parent is re-tested. This is a
+ *              0/1 simplification in the spirit of topGO's weight01, not that algorithm: there
+ *              are no weight ratios and less significant children are left as they are.
+ * @param {string[]} queryInBg - query identifiers already restricted to the background
+ * @param {Object} bg - propagated GO background
+ * @param {Object} dag - GO DAG
+ * @param {string} method - 'elim' or 'childRemoval'
+ * @returns {Object} term -> decorrelated p-value
+ */
+function decorrelateGO(queryInBg, bg, dag, method) {
+    const n = queryInBg.length;
+    const N = bg.N;
+    const query = new Set(queryInBg);
+    const removed = {};
+    const pValues = {};
+
+    const inBg = (t) => !!bg.terms[t];
+    const ancestorsOf = (t) => [...self.Ontology.getAncestors(dag, t)].filter(inBg);
+    const children = {};
+    for (const term of Object.keys(bg.terms)) {
+        for (const parent of self.Ontology.getParents(dag, term)) {
+            if (!inBg(parent)) continue;
+            (children[parent] = children[parent] || []).push(term);
+        }
+    }
+
+    const currentMembers = (t) => {
+        const gone = removed[t];
+        return gone ? [...bg.terms[t].members].filter(id => !gone.has(id)) : [...bg.terms[t].members];
+    };
+    const test = (members) => {
+        const k = members.reduce((c, id) => c + (query.has(id) ? 1 : 0), 0);
+        return hypergeomPValue(k, n, members.length, N);
+    };
+    const removeFrom = (terms, genes) => {
+        for (const a of terms) {
+            if (!removed[a]) removed[a] = new Set();
+            for (const id of genes) removed[a].add(id);
+        }
+    };
+
+    const order = Object.keys(bg.terms)
+        .sort((a, b) => self.Ontology.getAncestors(dag, b).size - self.Ontology.getAncestors(dag, a).size);
+
+    for (const term of order) {
+        let members = currentMembers(term);
+        let p = test(members);
+
+        if (method === 'elim') {
+            if (p < ELIM_CUTOFF) removeFrom(ancestorsOf(term), members);
+        } else if (method === 'childRemoval') {
+            const stronger = (children[term] || []).filter(c => pValues[c] < p);
+            if (stronger.length > 0) {
+                const genes = new Set();
+                for (const c of stronger) currentMembers(c).forEach(id => genes.add(id));
+                removeFrom([term, ...ancestorsOf(term)], genes);
+                members = currentMembers(term);
+                p = test(members);
+            }
+        }
+        pValues[term] = p;
+    }
+    return pValues;
+}
+
+// ===== GO Enrichment =====
+
+/**
+ * Run GO enrichment analysis.
+ * @param {string[]} queryProteinIds - resolved protein IDs from user input
+ * @param {Object} goData - protein->terms map from species GO data
+ * @param {string} [categoryFilter] - optional: "Biological Process", "Molecular Function", "Cellular Component"
+ * @param {Object} [background] - prebuilt background from buildGOBackground(); goData is not read when given
+ * @param {Object} [decorrelation] - { method: 'elim'|'childRemoval', dag }; adds pDecorrelated to each result
+ *        (enrichment test only: both are defined for over-representation)
+ * @param {string} [alternative='greater'] - 'greater' (enrichment), 'less' (depletion) or 'two-sided'
+ * @returns {Object} { results: [...], stats: { mapped, total, termsTotal, alternative } }
+ */
+function runGOEnrichment(queryProteinIds, goData, categoryFilter, background, decorrelation, alternative = 'greater') {
+    if ((!goData && !background) || queryProteinIds.length === 0) {
+        return { results: [], stats: { mapped: 0, total: 0, termsTotal: 0, background: 0 } };
+    }
+
+    // Background: all proteins with GO annotations (or a custom universe, see restrictBackground)
+    const bg = background || buildGOBackground(goData, categoryFilter);
+    const termsTotal = Object.keys(bg.terms).length;
+    const bgStats = { background: bg.N, customBackground: !!bg.custom, propagated: !!bg.propagated, alternative };
+
+    // Query: filter to proteins present in GO background
+    const queryInBg = queryProteinIds.filter(pid => bg.members.has(pid));
+    const n = queryInBg.length;
+
+    if (n === 0) {
+        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal, ...bgStats } };
+    }
+
+    const results = testTerms(queryInBg, bg, alternative);
+    if (decorrelation && decorrelation.dag && decorrelation.method !== 'classic' && alternative === 'greater') {
+        const pValues = decorrelateGO(queryInBg, bg, decorrelation.dag, decorrelation.method);
+        for (const r of results) r.pDecorrelated = pValues[r.term];
+        // Surviving terms first, as in topGO's GenTable
+        results.sort((a, b) => a.pDecorrelated - b.pDecorrelated || a.pValue - b.pValue);
+        bgStats.method = decorrelation.method;
+    }
 
     return {
         results,
-        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(termBg).length },
+        stats: { mapped: n, total: queryProteinIds.length, termsTotal, ...bgStats },
     };
 }
 
 // ===== KEGG Enrichment =====
 
 /**
- * Run KEGG pathway enrichment analysis.
- * Uses KEGG pathway data (from REST API).
- * Resolves STRING protein IDs to KEGG gene names via aliases.
+ * Map STRING protein IDs to KEGG gene names via direct ID, preferred name, then aliases.
  * @param {string[]} queryProteinIds
- * @param {Object} keggPathwayData - { pathways: {id->name}, gene_pathways: {gene->[pathways]} }
+ * @param {Object} keggPathwayData - { pathways, gene_pathways }
  * @param {Object} aliasData - protein -> [alias strings] from species aliases
  * @param {Object} infoData - protein info for name resolution
- * @returns {Object} { results, stats }
+ * @returns {Object} protein ID -> KEGG gene name, for proteins that could be mapped
  */
-function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData) {
-    if (!keggPathwayData || !keggPathwayData.gene_pathways) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: 0 } };
-    }
-
-    const genePathways = keggPathwayData.gene_pathways;
-    const pathwayNames = keggPathwayData.pathways || {};
-
-    // Build a set of all known KEGG gene names for fast lookup
-    const keggGeneSet = new Set(Object.keys(genePathways));
-
-    // Background: all genes with at least one pathway
-    const N = keggGeneSet.size;
+function mapToKeggGenes(queryProteinIds, keggPathwayData, aliasData, infoData) {
+    const pidToKegg = {};
+    if (!keggPathwayData || !keggPathwayData.gene_pathways) return pidToKegg;
 
-    // Build pathway -> set of background genes
-    const pathwayBg = {};
-    for (const [gene, pathways] of Object.entries(genePathways)) {
-        if (!Array.isArray(pathways)) continue;
-        for (const pw of pathways) {
-            if (!pathwayBg[pw]) {
-                const lookup = pw.replace(/^path:/, '');
-                pathwayBg[pw] = { name: pathwayNames[lookup] || pw, genes: new Set() };
-            }
-            pathwayBg[pw].genes.add(gene);
-        }
-    }
+    // Set of all known KEGG gene names for fast lookup
+    const keggGeneSet = new Set(Object.keys(keggPathwayData.gene_pathways));
 
-    // Resolve query protein IDs to KEGG gene names via aliases
-    const queryGeneNames = new Set();
-    const pidToKegg = {}; // for reporting back
     for (const pid of queryProteinIds) {
         // Try direct protein ID
         if (keggGeneSet.has(pid)) {
-            queryGeneNames.add(pid);
             pidToKegg[pid] = pid;
             continue;
         }
@@ -205,86 +549,629 @@ function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData
         if (infoData && infoData[pid]) {
             const name = infoData[pid].name;
             if (name && keggGeneSet.has(name)) {
-                queryGeneNames.add(name);
                 pidToKegg[pid] = name;
                 continue;
             }
         }
-        // Search through aliases for a match
+        // Search through aliases for a match (as given, then upper- and lowercase)
         if (aliasData && aliasData[pid]) {
-            let found = false;
             for (const alias of aliasData[pid]) {
-                if (keggGeneSet.has(alias)) {
-                    queryGeneNames.add(alias);
-                    pidToKegg[pid] = alias;
-                    found = true;
-                    break;
-                }
-                // Also try uppercase version
-                const upper = alias.toUpperCase();
-                if (keggGeneSet.has(upper)) {
-                    queryGeneNames.add(upper);
-                    pidToKegg[pid] = upper;
-                    found = true;
-                    break;
-                }
-                // Also try lowercase version
-                const lower = alias.toLowerCase();
-                if (keggGeneSet.has(lower)) {
-                    queryGeneNames.add(lower);
-                    pidToKegg[pid] = lower;
-                    found = true;
+                const hit = [alias, alias.toUpperCase(), alias.toLowerCase()].find(a => keggGeneSet.has(a));
+                if (hit) {
+                    pidToKegg[pid] = hit;
                     break;
                 }
             }
-            if (found) continue;
         }
     }
+    return pidToKegg;
+}
 
-    const n = queryGeneNames.size;
-    if (n === 0) {
-        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length } };
+/**
+ * Enrichment of query identifiers against any prebuilt background (KEGG, custom sets, domains).
+ * @param {string[]} ids - query identifiers in the background's namespace
+ * @param {number} total - number of query proteins before mapping
+ * @param {Object} bg - background with { N, members, terms }
+ * @param {string} [alternative='greater'] - as for runGOEnrichment()
+ * @returns {Object} { results, stats }
+ */
+function runSetEnrichment(ids, total, bg, alternative = 'greater') {
+    const termsTotal = Object.keys(bg.terms).length;
+    const bgStats = { background: bg.N, customBackground: !!bg.custom, alternative };
+    const queryInBg = [...new Set(ids)].filter(g => bg.members.has(g));
+    if (queryInBg.length === 0) {
+        return { results: [], stats: { mapped: 0, total, termsTotal, ...bgStats } };
     }
+    return {
+        results: testTerms(queryInBg, bg, alternative),
+        stats: { mapped: queryInBg.length, total, termsTotal, ...bgStats },
+    };
+}
 
-    const results = [];
-    for (const [pw, info] of Object.entries(pathwayBg)) {
-        const K = info.genes.size;
-        let k = 0;
-        const geneHits = [];
-        for (const gene of queryGeneNames) {
-            if (info.genes.has(gene)) {
-                k++;
-                geneHits.push(gene);
+/**
+ * KEGG enrichment for query genes already mapped to KEGG gene names.
+ * @param {string[]} keggGenes - KEGG gene names (see mapToKeggGenes)
+ * @param {number} total - number of query proteins before mapping
+ * @param {Object} bg - background from buildKEGGBackground()
+ * @param {string} [alternative='greater'] - as for runGOEnrichment()
+ * @returns {Object} { results, stats }
+ */
+function runMappedKEGGEnrichment(keggGenes, total, bg, alternative = 'greater') {
+    return runSetEnrichment(keggGenes, total, bg, alternative);
+}
+
+/**
+ * Run KEGG pathway enrichment analysis.
+ * Uses KEGG pathway data (from REST API).
+ * Resolves STRING protein IDs to KEGG gene names via aliases.
+ * @param {string[]} queryProteinIds
+ * @param {Object} keggPathwayData - { pathways: {id->name}, gene_pathways: {gene->[pathways]} }
+ * @param {Object} aliasData - protein -> [alias strings] from species aliases
+ * @param {Object} infoData - protein info for name resolution
+ * @param {Object} [background] - prebuilt background from buildKEGGBackground()
+ * @param {string} [alternative='greater'] - as for runGOEnrichment()
+ * @returns {Object} { results, stats }
+ */
+function runKEGGEnrichment(queryProteinIds, keggPathwayData, aliasData, infoData, background, alternative = 'greater') {
+    if (!keggPathwayData || !keggPathwayData.gene_pathways) {
+        return { results: [], stats: { mapped: 0, total: queryProteinIds.length, termsTotal: 0, background: 0 } };
+    }
+
+    const bg = background || buildKEGGBackground(keggPathwayData);
+    const pidToKegg = mapToKeggGenes(queryProteinIds, keggPathwayData, aliasData, infoData);
+    return runMappedKEGGEnrichment(Object.values(pidToKegg), queryProteinIds.length, bg, alternative);
+}
+
+// ===== List Comparison (compareCluster) =====
+
+/**
+ * compareCluster-style summary of enrichment results for several gene lists.
+ * Rows are every term significant in a list (long format); the terms shown in the
+ * comparison plot are the union of each list's topN most significant ones.
+ * @param {Object[]} lists - [{ name, result }], result from runGOEnrichment() / runKEGGEnrichment()
+ * @param {number} topN - terms taken from each list for the plot
+ * @param {Function} [keep] - result => boolean, the terms to keep (default: fdr < 0.05)
+ * @returns {Object} { lists: [{ name, mapped }], terms: [{ term, description, category }],
+ *          rows: [{ list, term, description, category, geneCount, mapped, bgCount, bgSize,
+ *                   geneRatio, pValue, fdr, fold, genes }],
+ *          matrix: fdr of terms[i] in lists[j] at matrix[i][j], significant or not (null if not tested) }
+ */
+function compareEnrichment(lists, topN, keep = (r) => r.fdr < 0.05) {
+    const rows = [];
+    const terms = new Map();
+    for (const { name, result } of lists) {
+        const significant = result.results
+            .filter(keep)
+            .sort((a, b) => a.fdr - b.fdr || a.pValue - b.pValue);
+        significant.forEach((r, i) => {
+            rows.push({
+                list: name,
+                term: r.term,
+                description: r.description,
+                category: r.category,
+                geneCount: r.geneCount,
+                mapped: result.stats.mapped,
+                bgCount: r.bgCount,
+                bgSize: result.stats.background,
+                geneRatio: result.stats.mapped > 0 ? r.geneCount / result.stats.mapped : 0,
+                pValue: r.pValue,
+                fdr: r.fdr,
+                fold: r.fold,
+                genes: r.genes,
+            });
+            if (i < topN && !terms.has(r.term)) {
+                terms.set(r.term, { term: r.term, description: r.description, category: r.category });
+            }
+        });
+    }
+    const byTerm = lists.map(({ result }) => new Map(result.results.map(r => [r.term, r])));
+    const shown = [...terms.values()];
+    return {
+        lists: lists.map(({ name, result }) => ({ name, mapped: result.stats.mapped })),
+        terms: shown,
+        rows,
+        matrix: shown.map(t => byTerm.map(m => (m.has(t.term) ? m.get(t.term).fdr : null))),
+    };
+}
+
+// ===== Other Term Categories (other_terms.json) =====
+
+/**
+ * Term categories in other_terms.json (Pfam, InterPro, SMART, UniProt keywords, ...).
+ * @param {Object} otherTerms - protein -> [{ term, description, category }]
+ * @returns {Object[]} [{ category, terms, proteins }], most widely annotated first
+ */
+function listTermCategories(otherTerms) {
+    const byCategory = {};
+    for (const annotations of Object.values(otherTerms || {})) {
+        if (!Array.isArray(annotations)) continue;
+        const seen = new Set();
+        for (const t of annotations) {
+            if (!t || !t.term) continue;
+            const category = t.category || 'Unknown';
+            if (!byCategory[category]) byCategory[category] = { category, terms: new Set(), proteins: 0 };
+            byCategory[category].terms.add(t.term);
+            if (!seen.has(category)) {
+                seen.add(category);
+                byCategory[category].proteins++;
             }
         }
-        if (k === 0) continue;
+    }
+    return Object.values(byCategory)
+        .map(c => ({ category: c.category, terms: c.terms.size, proteins: c.proteins }))
+        .sort((a, b) => b.proteins - a.proteins);
+}
 
-        const pValue = hypergeomPValue(k, n, K, N);
-        const expectedK = (K / N) * n;
-        const fold = expectedK > 0 ? k / expectedK : 0;
+/**
+ * Background for one category of other_terms.json. Only proteins with at least one
+ * term of that category are members, as GO's background holds GO-annotated proteins.
+ * @param {Object} otherTerms - protein -> [{ term, description, category }]
+ * @param {string} category - exact category name, e.g. 'Pfam'
+ * @returns {Object} { N, members: Set, terms: { term -> { desc, category, members: Set } } }
+ */
+function buildTermCategoryBackground(otherTerms, category) {
+    const members = new Set();
+    const terms = {};
+    for (const [pid, annotations] of Object.entries(otherTerms || {})) {
+        if (!Array.isArray(annotations)) continue;
+        for (const t of annotations) {
+            if (!t || !t.term || (t.category || 'Unknown') !== category) continue;
+            if (!terms[t.term]) terms[t.term] = { desc: t.description || '', category, members: new Set() };
+            terms[t.term].members.add(pid);
+            members.add(pid);
+        }
+    }
+    return { N: members.size, members, terms };
+}
 
-        results.push({
-            term: pw,
-            description: info.name,
-            category: 'KEGG Pathway',
-            pValue,
+// ===== Custom Gene Sets =====
+
+/**
+ * Parse user gene sets. Each line is either GMT (set name, description, then one gene per
+ * field) or a two-column "set  gene" pair; both may be mixed, and sets named on several
+ * lines are merged. Fields are tab-separated; lines starting with '#' are skipped.
+ * @param {string} text - GMT or TSV file contents
+ * @returns {Object[]} [{ term, description, genes: [] }] in file order
+ */
+function parseGeneSets(text) {
+    const sets = new Map();
+    for (const line of text.split(/\r?\n/)) {
+        if (!line.trim() || line.startsWith('#')) continue;
+        const fields = line.split('\t').map(f => f.trim());
+        const term = fields[0];
+        if (!term || fields.length < 2) continue;
+
+        const gmt = fields.length > 2;
+        if (!sets.has(term)) sets.set(term, { term, description: '', genes: new Set() });
+        const set = sets.get(term);
+        if (gmt && fields[1] && !set.description) set.description = fields[1].replace(/^na$/i, '');
+        for (const gene of gmt ? fields.slice(2) : [fields[1]]) {
+            if (gene) set.genes.add(gene);
+        }
+    }
+    return [...sets.values()]
+        .filter(s => s.genes.size > 0)
+        .map(s => ({ term: s.term, description: s.description || s.term, genes: [...s.genes] }));
+}
+
+/**
+ * Background for custom sets whose members are already resolved to protein IDs.
+ * @param {Object[]} sets - [{ term, description, members: [protein IDs] }]
+ * @param {string[]} universe - protein IDs tested against (species proteome or custom background)
+ * @param {boolean} [custom] - universe is a user-supplied background
+ * @returns {Object} { N, members, terms, custom }
+ */
+function buildSetBackground(sets, universe, custom) {
+    const members = new Set(universe);
+    const terms = {};
+    for (const set of sets) {
+        const kept = new Set(set.members.filter(id => members.has(id)));
+        if (kept.size > 0) terms[set.term] = { desc: set.description, category: 'Custom', members: kept };
+    }
+    return { N: members.size, members, terms, custom: !!custom };
+}
+
+// ===== Preranked GSEA =====
+
+// Gene set size limits and permutation count (GSEA/fgsea defaults)
+const GSEA_MIN_SIZE = 15;
+const GSEA_MAX_SIZE = 500;
+const GSEA_PERMUTATIONS = 1000;
+
+// Small seeded PRNG (mulberry32) so that shared links reproduce the same p-values
+function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Weighted (p = 1) Kolmogorov–Smirnov running-sum enrichment score.
+ * @param {ArrayLike<number>} hits - ascending positions of set members in the ranked list
+ * @param {ArrayLike<number>} weights - |score| per ranked position
+ * @param {number} N - ranked list length
+ * @returns {Object} { es, peak } where peak is the position of the maximum deviation
+ */
+function enrichmentScore(hits, weights, N) {
+    const k = hits.length;
+    let NR = 0;
+    for (let j = 0; j < k; j++) NR += weights[hits[j]];
+    const equalWeights = NR === 0; // all scores zero: fall back to the unweighted statistic
+    const missStep = 1 / (N - k);
+
+    let hitSum = 0;
+    let max = 0, maxPos = 0;
+    let min = 0, minPos = 0;
+    for (let j = 0; j < k; j++) {
+        const pos = hits[j];
+        const misses = (pos - j) * missStep;
+        const before = hitSum - misses;
+        if (before < min) { min = before; minPos = pos - 1; }
+        hitSum += equalWeights ? 1 / k : weights[pos] / NR;
+        const after = hitSum - misses;
+        if (after > max) { max = after; maxPos = pos; }
+    }
+    return max >= -min ? { es: max, peak: maxPos } : { es: min, peak: minPos };
+}
+
+/**
+ * Preranked GSEA over the term sets of a background (Subramanian et al., 2005).
+ * Significance comes from gene-set permutation: for each set size, random sets of
+ * that size are drawn from the ranked list. NES divides ES by the mean null ES of
+ * the same sign; FDR is Benjamini-Hochberg over the permutation p-values.
+ * @param {Object[]} ranked - [{ id, score }] sorted by score, descending; ids in the background's namespace
+ * @param {Object} bg - background from buildGOBackground() / buildKEGGBackground()
+ * @param {Object} [options] - { minSize, maxSize, permutations, seed }
+ * @returns {Object} { results, stats: { ranked, mapped, termsTotal, permutations } }
+ */
+function runGSEA(ranked, bg, options = {}) {
+    const minSize = options.minSize || GSEA_MIN_SIZE;
+    const maxSize = options.maxSize || GSEA_MAX_SIZE;
+    const nPerm = options.permutations || GSEA_PERMUTATIONS;
+    const random = seededRandom(options.seed || 42);
+
+    const inBg = ranked.filter(r => bg.members.has(r.id));
+    const N = inBg.length;
+    const position = new Map(inBg.map((r, i) => [r.id, i]));
+    const weights = Float64Array.from(inBg, r => Math.abs(r.score));
+
+    const sets = [];
+    for (const [term, info] of Object.entries(bg.terms)) {
+        const hits = [];
+        for (const id of info.members) {
+            if (position.has(id)) hits.push(position.get(id));
+        }
+        if (hits.length < minSize || hits.length > maxSize || hits.length >= N) continue;
+        sets.push({ term, info, hits: Int32Array.from(hits).sort() });
+    }
+
+    // Null ES distributions, shared by all sets of the same size
+    const nullCache = new Map();
+    const pool = new Int32Array(N);
+    const nullFor = (k) => {
+        if (nullCache.has(k)) return nullCache.get(k);
+        for (let i = 0; i < N; i++) pool[i] = i;
+        const esValues = new Float64Array(nPerm);
+        for (let p = 0; p < nPerm; p++) {
+            // Partial Fisher-Yates: the first k slots become a random subset
+            for (let i = 0; i < k; i++) {
+                const j = i + Math.floor(random() * (N - i));
+                const tmp = pool[i]; pool[i] = pool[j]; pool[j] = tmp;
+            }
+            esValues[p] = enrichmentScore(pool.slice(0, k).sort(), weights, N).es;
+        }
+        let posSum = 0, posCount = 0, negSum = 0, negCount = 0;
+        for (const v of esValues) {
+            if (v >= 0) { posSum += v; posCount++; } else { negSum += v; negCount++; }
+        }
+        const dist = {
+            esValues,
+            posMean: posCount > 0 ? posSum / posCount : 0, posCount,
+            negMean: negCount > 0 ? negSum / negCount : 0, negCount,
+        };
+        nullCache.set(k, dist);
+        return dist;
+    };
+
+    const results = sets.map(({ term, info, hits }) => {
+        const { es, peak } = enrichmentScore(hits, weights, N);
+        const dist = nullFor(hits.length);
+        let extreme = 0;
+        let pValue;
+        let nes;
+        if (es >= 0) {
+            for (const v of dist.esValues) if (v >= es) extreme++;
+            pValue = (extreme + 1) / (dist.posCount + 1);
+            nes = dist.posMean > 0 ? es / dist.posMean : 0;
+        } else {
+            for (const v of dist.esValues) if (v <= es) extreme++;
+            pValue = (extreme + 1) / (dist.negCount + 1);
+            nes = dist.negMean < 0 ? -es / dist.negMean : 0;
+        }
+        const leading = [...hits].filter(pos => (es >= 0 ? pos <= peak : pos > peak));
+        const leadingEdge = leading.map(pos => inBg[pos].id);
+
+        return {
+            term,
+            description: info.desc,
+            category: info.category,
+            es: Math.round(es * 10000) / 10000,
+            nes: Math.round(nes * 10000) / 10000,
+            pValue: Math.min(pValue, 1),
             fdr: 1,
-            fold: Math.round(fold * 100) / 100,
-            geneCount: k,
-            bgCount: K,
-            totalGenes: n,
-            totalBg: N,
-            genes: geneHits,
-        });
+            size: hits.length,
+            hits: [...hits],
+            leadingEdge,
+            // Shared field names with over-representation results, for plots and tooltips
+            genes: leadingEdge,
+            geneCount: leadingEdge.length,
+            bgCount: hits.length,
+            fold: Math.round(nes * 100) / 100,
+        };
+    });
+
+    return {
+        results: bhFDR(results),
+        stats: { ranked: ranked.length, mapped: N, termsTotal: sets.length, permutations: nPerm, minSize, maxSize },
+        // Ranking the hit positions refer to, for running-score plots
+        scores: inBg.map(r => Math.round(r.score * 10000) / 10000),
+    };
+}
+
+/**
+ * Map a ranked protein list onto KEGG gene names, keeping the first (best-ranked) occurrence.
+ * @returns {Object[]} [{ id: KEGG gene, score }] in the original order
+ */
+function mapRankedToKegg(ranked, speciesData) {
+    const pidToKegg = mapToKeggGenes(ranked.map(r => r.id), speciesData.keggPathways, speciesData.aliases, speciesData.info);
+    const seen = new Set();
+    const out = [];
+    for (const r of ranked) {
+        const gene = pidToKegg[r.id];
+        if (!gene || seen.has(gene)) continue;
+        seen.add(gene);
+        out.push({ id: gene, score: r.score });
     }
+    return out;
+}
 
-    bhFDR(results);
+// ===== Worker Client =====
 
+// Enrichment runs in enrichment-worker.js, which indexes each species' annotations once
+// from what the page already downloaded. Where workers are unavailable (e.g. pages opened
+// from file://) the same code runs on the main thread.
+let _worker = null;
+let _workerFailed = false;
+let _nextJobId = 1;
+const _pendingJobs = {};
+const _indexesSent = new Set(); // taxids whose annotations the worker already has
+let _goDagSent = false;
+
+/**
+ * Annotations posted with the worker's first job for a species: the compact indexes where
+ * the species has them, otherwise the loaded go.json / kegg_pathways.json data.
+ * @param {Object} speciesData
+ * @returns {Object} { goIndex, keggIndex, goData, keggPathways }, unused ones null
+ */
+function workerAnnotations(speciesData) {
+    const goIndex = isBackgroundIndex(speciesData.goIndex) ? speciesData.goIndex : null;
+    const keggIndex = isBackgroundIndex(speciesData.keggIndex) ? speciesData.keggIndex : null;
     return {
-        results,
-        stats: { mapped: n, total: queryProteinIds.length, termsTotal: Object.keys(pathwayBg).length },
+        goIndex,
+        keggIndex,
+        goData: goIndex ? null : speciesData.go || null,
+        keggPathways: keggIndex ? null : speciesData.keggPathways || null,
+    };
+}
+
+function getEnrichmentWorker() {
+    if (_worker || _workerFailed || typeof Worker === 'undefined') return _worker;
+    try {
+        _worker = new Worker('enrichment-worker.js');
+    } catch (err) {
+        console.warn('Enrichment worker unavailable, computing on the main thread:', err);
+        _workerFailed = true;
+        return null;
+    }
+    _worker.onmessage = (e) => {
+        const msg = e.data;
+        const job = _pendingJobs[msg.id];
+        if (!job) return;
+        if (msg.type === 'progress') {
+            if (job.onProgress) job.onProgress(msg.text);
+            return;
+        }
+        delete _pendingJobs[msg.id];
+        if (msg.type === 'result') job.resolve(msg.result);
+        else job.reject(new Error(msg.error || 'Enrichment worker failed'));
+    };
+    _worker.onerror = (e) => {
+        console.warn('Enrichment worker error, computing on the main thread:', e.message || e);
+        _workerFailed = true;
+        _worker.terminate();
+        _worker = null;
+        for (const id of Object.keys(_pendingJobs)) {
+            _pendingJobs[id].reject(new Error('Enrichment worker crashed'));
+            delete _pendingJobs[id];
+        }
     };
+    return _worker;
+}
+
+function postEnrichmentJob(worker, job, onProgress) {
+    return new Promise((resolve, reject) => {
+        const id = _nextJobId++;
+        _pendingJobs[id] = { resolve, reject, onProgress };
+        worker.postMessage({ id, ...job });
+    });
+}
+
+/**
+ * GO background for a species, propagated up the GO DAG when one is given.
+ * Shared by the main-thread path and enrichment-worker.js.
+ * @param {string} taxid
+ * @param {Function} build - returns the unpropagated background (may be async)
+ * @param {Object} [goDag] - GO DAG; omit to test terms as annotated
+ */
+function getGOBackgroundFor(taxid, build, goDag) {
+    if (!goDag) return getCachedBackground(`${taxid}:go`, build);
+    return getCachedBackground(`${taxid}:go:propagated`, async () =>
+        self.Ontology.propagateBackground(await getCachedBackground(`${taxid}:go`, build), goDag));
+}
+
+async function runGSEASync(taxid, ranked, keggRanked, speciesData, onProgress, goDag, propagate) {
+    if (onProgress) onProgress('Running GO gene set enrichment...');
+    const buildGO = () => decodeBackgroundIndex(speciesData.goIndex) || buildGOBackground(speciesData.go || {});
+    const go = runGSEA(ranked, await getGOBackgroundFor(taxid, buildGO, propagate ? goDag : null));
+
+    if (onProgress) onProgress('Running KEGG gene set enrichment...');
+    const keggPathways = speciesData.keggPathways;
+    const kegg = keggPathways && keggPathways.gene_pathways
+        ? runGSEA(keggRanked, getCachedBackground(`${taxid}:kegg`, () =>
+            decodeBackgroundIndex(speciesData.keggIndex) || buildKEGGBackground(keggPathways)))
+        : { results: [], stats: { ranked: ranked.length, mapped: 0, termsTotal: 0, permutations: 0 } };
+    return { go, kegg };
+}
+
+async function runEnrichmentSync(taxid, queryProteinIds, speciesData, onProgress, universe, goDag, propagate, goMethod, alternative) {
+    if (onProgress) onProgress('Running GO enrichment...');
+    const buildGO = () => decodeBackgroundIndex(speciesData.goIndex) || buildGOBackground(speciesData.go || {});
+    let goBg = await getGOBackgroundFor(taxid, buildGO, propagate ? goDag : null);
+    if (universe) goBg = restrictBackground(goBg, universe.proteinIds);
+    // elim / child removal move genes between parent and child terms, which only hold each other's genes once propagated
+    const go = runGOEnrichment(queryProteinIds, null, null, goBg, { method: propagate ? goMethod : 'classic', dag: goDag }, alternative);
+    if (goDag) {
+        // Information content always comes from the genome-wide propagated annotations
+        go.ic = self.Ontology.computeInformationContent(
+            await getGOBackgroundFor(taxid, buildGO, goDag), goDag, go.results.map(r => r.term));
+    }
+
+    if (onProgress) onProgress('Running KEGG enrichment...');
+    const keggPathways = speciesData.keggPathways;
+    let kegg;
+    if (keggPathways && keggPathways.gene_pathways) {
+        let keggBg = getCachedBackground(`${taxid}:kegg`, () =>
+            decodeBackgroundIndex(speciesData.keggIndex) || buildKEGGBackground(keggPathways));
+        if (universe) keggBg = restrictBackground(keggBg, universe.keggGenes);
+        kegg = runKEGGEnrichment(queryProteinIds, keggPathways, speciesData.aliases, speciesData.info, keggBg, alternative);
+    } else {
+        kegg = runKEGGEnrichment(queryProteinIds, null);
+    }
+    return { go, kegg };
+}
+
+/**
+ * Backgrounds are cached per species, so one built from a project snapshot (only the
+ * project's own genes) would skew every later run; refuse such data outright.
+ * @param {Object} speciesData
+ */
+function assertFullSpeciesData(speciesData) {
+    if (speciesData && speciesData.isSnapshot) {
+        throw new Error('Enrichment needs the full species annotations, not an imported project snapshot');
+    }
+}
+
+/**
+ * Run GO and KEGG enrichment for a species without blocking the UI.
+ * @param {string} taxid
+ * @param {string[]} queryProteinIds
+ * @param {Object} speciesData - loaded species data (aliases/info map proteins to KEGG genes)
+ * @param {Function} [onProgress] - receives status text while the job runs
+ * @param {Object} [options]
+ * @param {string[]} [options.background] - custom universe of protein IDs; default is every annotated protein
+ * @param {Object} [options.goDag] - GO DAG, needed for propagation and decorrelation
+ * @param {boolean} [options.propagate=true] - propagate GO annotations up is_a/part_of edges (needs goDag)
+ * @param {string} [options.goMethod='classic'] - 'classic', 'elim' or 'childRemoval' (needs goDag and propagation)
+ * @param {string} [options.alternative='greater'] - 'greater' (enrichment), 'less' (depletion) or 'two-sided'
+ * @returns {Promise<Object>} { go, kegg } enrichment results
+ */
+async function runEnrichmentAsync(taxid, queryProteinIds, speciesData, onProgress, options = {}) {
+    assertFullSpeciesData(speciesData);
+    const mapKegg = (ids) => Object.values(mapToKeggGenes(ids, speciesData.keggPathways, speciesData.aliases, speciesData.info));
+    const universe = options.background
+        ? { proteinIds: options.background, keggGenes: mapKegg(options.background) }
+        : null;
+    const goDag = options.goDag && self.Ontology && self.Ontology.isValidGODag(options.goDag) ? options.goDag : null;
+    const propagate = !!goDag && options.propagate !== false;
+    const goMethod = options.goMethod || 'classic';
+    const alternative = options.alternative || 'greater';
+
+    const worker = getEnrichmentWorker();
+    if (worker) {
+        // Hand over the already-downloaded annotations once; the worker keeps the backgrounds
+        const firstJob = !_indexesSent.has(taxid);
+        try {
+            const result = await postEnrichmentJob(worker, {
+                taxid,
+                queryIds: queryProteinIds,
+                keggGenes: mapKegg(queryProteinIds),
+                universe,
+                propagate,
+                goMethod,
+                alternative,
+                goDag: goDag && !_goDagSent ? goDag : null,
+                ...(firstJob ? workerAnnotations(speciesData) : {}),
+            }, onProgress);
+            _indexesSent.add(taxid);
+            if (goDag) _goDagSent = true;
+            return result;
+        } catch (err) {
+            console.warn('Enrichment worker job failed, computing on the main thread:', err);
+        }
+    }
+    return await runEnrichmentSync(taxid, queryProteinIds, speciesData, onProgress, universe, goDag, propagate, goMethod, alternative);
+}
+
+/**
+ * Run preranked GSEA on GO and KEGG term sets without blocking the UI.
+ * @param {string} taxid
+ * @param {Object[]} ranked - [{ id: protein ID, score }] sorted by score, descending
+ * @param {Object} speciesData - loaded species data
+ * @param {Function} [onProgress]
+ * @param {Object} [options] - { goDag, propagate } as for runEnrichmentAsync()
+ * @returns {Promise<Object>} { go, kegg } GSEA results; KEGG leading edges hold KEGG gene names
+ */
+async function runGSEAAsync(taxid, ranked, speciesData, onProgress, options = {}) {
+    assertFullSpeciesData(speciesData);
+    const keggRanked = mapRankedToKegg(ranked, speciesData);
+    const goDag = options.goDag && self.Ontology && self.Ontology.isValidGODag(options.goDag) ? options.goDag : null;
+    const propagate = !!goDag && options.propagate !== false;
+
+    const worker = getEnrichmentWorker();
+    if (worker) {
+        const firstJob = !_indexesSent.has(taxid);
+        try {
+            const result = await postEnrichmentJob(worker, {
+                kind: 'gsea',
+                taxid,
+                ranked,
+                keggRanked,
+                propagate,
+                goDag: goDag && !_goDagSent ? goDag : null,
+                ...(firstJob ? workerAnnotations(speciesData) : {}),
+            }, onProgress);
+            _indexesSent.add(taxid);
+            if (goDag) _goDagSent = true;
+            return result;
+        } catch (err) {
+            console.warn('Enrichment worker job failed, computing on the main thread:', err);
+        }
+    }
+    return await runGSEASync(taxid, ranked, keggRanked, speciesData, onProgress, goDag, propagate);
 }
 
-// Export for use in app.js
-window.Enrichment = { runGOEnrichment, runKEGGEnrichment };
+// Export for use in app.js and enrichment-worker.js (self is window on the main thread)
+self.Enrichment = {
+    runGOEnrichment, runKEGGEnrichment, runMappedKEGGEnrichment, runEnrichmentAsync,
+    buildGOBackground, buildKEGGBackground, getCachedBackground, getGOBackgroundFor, mapToKeggGenes,
+    encodeBackgroundIndex, decodeBackgroundIndex, goDataFromBackground, keggPathwaysFromBackground, restrictBackground,
+    runGSEA, runGSEAAsync, enrichmentScore,
+    adjustPValues, P_ADJUST_METHODS, fisherExact, oddsRatioCI, TEST_ALTERNATIVES,
+    runSetEnrichment, parseGeneSets, buildSetBackground, listTermCategories, buildTermCategoryBackground,
+    compareEnrichment,
+};
@@ -1,34 +1,120 @@
 /**
  * geneRelate — Export Utilities
- * CSV download + SVG/PNG/PDF export for enrichment plots.
+ * CSV/JSON download + SVG/PNG/PDF export for enrichment plots.
  */
 
 // ===== CSV Export =====
 
+// e.g. "Adjusted P-Value (Benjamini-Yekutieli)"
+function adjustedHeader(method) {
+    const info = window.Enrichment.P_ADJUST_METHODS[method || 'BH'];
+    return `Adjusted P-Value (${info ? info.name : method})`;
+}
+
 /**
  * Download enrichment results as CSV.
  * @param {Array} results - enrichment result objects
  * @param {string} filename
  * @param {Function} getNameFn - function to get preferred name from protein ID
+ * @param {Object} [options]
+ * @param {string} [options.decorrelation] - GO decorrelation method; adds its p-value column
+ * @param {boolean} [options.reduced] - results are reduced representatives; adds the terms each stands for
+ * @param {string} [options.pAdjust] - multiple-testing correction of the adjusted p-value column (default BH)
+ * @param {string} [options.alternative] - Fisher test tail of the P-Value column; the other tails and the
+ *        odds ratio are added when results carry them
  */
-function downloadCSV(results, filename, getNameFn) {
-    const headers = ['Term', 'Description', 'Category', 'P-Value', 'FDR', 'Fold Enrichment', 'Gene Count', 'Background Count', 'Genes'];
+function downloadCSV(results, filename, getNameFn, options = {}) {
+    const method = options.decorrelation;
+    const tails = results.length > 0 && results[0].pTwoSided !== undefined;
+    const alternative = window.Enrichment.TEST_ALTERNATIVES[options.alternative || 'greater'];
+    const headers = ['Term', 'Description', 'Category', `P-Value (${alternative})`,
+        ...(method ? [`P-Value (${method})`] : []),
+        adjustedHeader(options.pAdjust),
+        ...(tails ? ['P-Value Enriched', 'P-Value Depleted', 'P-Value Two-Sided'] : []),
+        'Fold Enrichment',
+        ...(tails ? ['Odds Ratio', 'OR 95% CI Low', 'OR 95% CI High'] : []),
+        'Gene Count', 'Background Count', 'Genes',
+        ...(options.reduced ? ['Represented Terms'] : [])];
     const rows = results.map(r => [
         r.term,
         `"${(r.description || '').replace(/"/g, '""')}"`,
         `"${(r.category || '').replace(/"/g, '""')}"`,
         r.pValue.toExponential(4),
+        ...(method ? [r.pDecorrelated.toExponential(4)] : []),
         r.fdr.toExponential(4),
+        ...(tails ? [r.pEnriched.toExponential(4), r.pDepleted.toExponential(4), r.pTwoSided.toExponential(4)] : []),
         r.fold,
+        ...(tails ? [r.oddsRatio, r.ciLow, r.ciHigh] : []),
         r.geneCount,
         r.bgCount,
         `"${r.genes.map(g => getNameFn ? getNameFn(g) : g).join(', ')}"`,
+        ...(options.reduced ? [`"${r.represents.map(t => t.term).join(', ')}"`] : []),
+    ]);
+
+    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    triggerDownload(csv, filename, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Download a multi-list enrichment comparison as a long-format CSV (one row per list and term).
+ * @param {Object} comparison - from Enrichment.compareEnrichment()
+ * @param {string} filename
+ * @param {Function} getNameFn - (proteinId, row) => preferred name
+ * @param {Object} [options] - { pAdjust } as for downloadCSV(), and listHeader (default 'List')
+ */
+function downloadComparisonCSV(comparison, filename, getNameFn, options = {}) {
+    const headers = [options.listHeader || 'List', 'Term', 'Description', 'Category', 'Gene Ratio', 'Bg Ratio', 'P-Value',
+        adjustedHeader(options.pAdjust), 'Fold Enrichment', 'Gene Count', 'Genes'];
+    const rows = comparison.rows.map(r => [
+        `"${r.list.replace(/"/g, '""')}"`,
+        r.term,
+        `"${(r.description || '').replace(/"/g, '""')}"`,
+        `"${(r.category || '').replace(/"/g, '""')}"`,
+        `${r.geneCount}/${r.mapped}`,
+        `${r.bgCount}/${r.bgSize}`,
+        r.pValue.toExponential(4),
+        r.fdr.toExponential(4),
+        r.fold,
+        r.geneCount,
+        `"${r.genes.map(g => getNameFn ? getNameFn(g, r) : g).join(', ')}"`,
     ]);
 
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
     triggerDownload(csv, filename, 'text/csv;charset=utf-8;');
 }
 
+/**
+ * Download preranked GSEA results as CSV.
+ * @param {Array} results - GSEA result objects
+ * @param {string} filename
+ * @param {Function} getNameFn - function to get preferred name from gene ID
+ * @param {Object} [options] - { pAdjust }, as for downloadCSV()
+ */
+function downloadGSEACSV(results, filename, getNameFn, options = {}) {
+    const headers = ['Term', 'Description', 'Category', 'Set Size', 'ES', 'NES', 'P-Value', adjustedHeader(options.pAdjust), 'Leading Edge Size', 'Leading Edge Genes'];
+    const rows = results.map(r => [
+        r.term,
+        `"${(r.description || '').replace(/"/g, '""')}"`,
+        `"${(r.category || '').replace(/"/g, '""')}"`,
+        r.size,
+        r.es,
+        r.nes,
+        r.pValue.toExponential(4),
+        r.fdr.toExponential(4),
+        r.leadingEdge.length,
+        `"${r.leadingEdge.map(g => getNameFn ? getNameFn(g) : g).join(', ')}"`,
+    ]);
+
+    const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    triggerDownload(csv, filename, 'text/csv;charset=utf-8;');
+}
+
+// ===== JSON Export =====
+
+function downloadJSON(obj, filename) {
+    triggerDownload(JSON.stringify(obj), filename, 'application/json;charset=utf-8;');
+}
+
 // ===== SVG Export =====
 
 function downloadSVG(svgElement, filename) {
@@ -291,4 +377,4 @@ function injectComputedStyles(original, clone) {
     if (rect) rect.setAttribute('fill', bg);
 }
 
-window.Export = { downloadCSV, downloadSVG, downloadPNG, downloadPDF };
+window.Export = { downloadCSV, downloadGSEACSV, downloadComparisonCSV, downloadJSON, downloadSVG, downloadPNG, downloadPDF };
@@ -6,15 +6,352 @@
  *  - Auto-Fit to Viewport
  *  - Smooth Zoom & Pan
  *  - Interactive Drag (Geometry only, no physics)
+ *  - Second-shell depth and per-node expansion, keeping earlier positions
+ *  - STRING evidence channels: score recombination and edge colors
+ *  - Centralities (betweenness, closeness, eigenvector, clustering, k-core) for hubs and node size
+ *  - Louvain modules with colored nodes and convex hulls
  *  - Unique Gradient IDs
  */
 
+// ===== Evidence Channels =====
+
+// STRING evidence channels, in the order of the `c` subscores of ppi.json entries
+// ({ p, s, c: [experiments, database, ...] }, written by scripts/merge-string-channels.js).
+// `column` is the channel's column in STRING's protein.links.detailed files.
+const PPI_CHANNELS = [
+    { key: 'experiments', column: 'experimental', label: 'Experiments', short: 'Exp', color: '#d6336c' },
+    { key: 'database', column: 'database', label: 'Databases', short: 'DB', color: '#15aabf' },
+    { key: 'coexpression', column: 'coexpression', label: 'Co-expression', short: 'Coex', color: '#868e96' },
+    { key: 'textmining', column: 'textmining', label: 'Text mining', short: 'Text', color: '#a9c200' },
+    { key: 'neighborhood', column: 'neighborhood', label: 'Neighborhood', short: 'Nbh', color: '#2f9e44' },
+    { key: 'fusion', column: 'fusion', label: 'Gene fusion', short: 'Fus', color: '#e03131' },
+    { key: 'cooccurrence', column: 'cooccurence', label: 'Co-occurrence', short: 'Cooc', color: '#1c7ed6' },
+];
+
+// Prior probability of an interaction, removed from and re-added to channel scores when combining
+const STRING_PRIOR = 0.041;
+
+function channelIndices(channels) {
+    if (!channels) return null;
+    return channels.map(key => PPI_CHANNELS.findIndex(c => c.key === key)).filter(i => i >= 0);
+}
+
+/**
+ * Score of an interaction from the selected evidence channels only, combined as STRING does
+ * when sources are switched off: prior-corrected subscores joined by 1 − Π(1 − sᵢ).
+ * @param {Object} i - ppi.json entry { p, s, c? }
+ * @param {string[]|null} channels - PPI_CHANNELS keys; null means all (the combined score `s`)
+ * @returns {number} 0–1000; entries without subscores keep `s`
+ */
+function evidenceScore(i, channels) {
+    if (!channels || !i.c) return i.s;
+    let miss = 1;
+    for (const idx of channelIndices(channels)) {
+        const v = ((i.c[idx] || 0) / 1000 - STRING_PRIOR) / (1 - STRING_PRIOR);
+        if (v > 0) miss *= 1 - v;
+    }
+    return Math.round(((1 - miss) * (1 - STRING_PRIOR) + STRING_PRIOR) * 1000);
+}
+
+/** Key of the strongest selected channel of an interaction, or null without subscores. */
+function dominantChannel(i, channels) {
+    if (!i.c) return null;
+    let best = null, bestScore = 0;
+    for (const idx of channelIndices(channels) || PPI_CHANNELS.map((_, k) => k)) {
+        if ((i.c[idx] || 0) > bestScore) {
+            bestScore = i.c[idx];
+            best = PPI_CHANNELS[idx].key;
+        }
+    }
+    return best;
+}
+
+/** Strongest interactors of a protein at or above the score threshold, with `s` from the selected channels. */
+function topPartners(ppiData, pid, scoreThreshold, n, channels = null) {
+    const interactions = ppiData[pid];
+    if (!interactions) return [];
+    return interactions
+        .map(i => ({ ...i, s: evidenceScore(i, channels) }))
+        .filter(i => i.s >= scoreThreshold)
+        .sort((a, b) => b.s - a.s)
+        .slice(0, n);
+}
+
+// ===== Centrality =====
+
+// Node metrics that can define hubs and node size; `digits` is the precision shown in tables
+const NETWORK_METRICS = {
+    degree: { label: 'Degree', digits: 0 },
+    betweenness: { label: 'Betweenness', digits: 3 },
+    closeness: { label: 'Closeness', digits: 3 },
+    eigenvector: { label: 'Eigenvector', digits: 3 },
+    clustering: { label: 'Clustering', digits: 3 },
+    kcore: { label: 'k-core', digits: 0 },
+};
+
+/**
+ * Compute centralities of an undirected network in place: `betweenness` (Brandes, normalized
+ * by (n−1)(n−2)/2), `closeness` (Wasserman–Faust, scaled by the reachable fraction so that
+ * disconnected networks compare), `eigenvector` (power iteration, max = 1), local `clustering`
+ * coefficient and `kcore` (core number).
+ * @param {Object[]} nodes - { id, ... }
+ * @param {Object[]} edges - { source, target }
+ */
+function computeCentralities(nodes, edges) {
+    const n = nodes.length;
+    const index = {};
+    nodes.forEach((node, i) => index[node.id] = i);
+    const adj = nodes.map(() => []);
+    for (const e of edges) {
+        const a = index[e.source], b = index[e.target];
+        if (a === undefined || b === undefined || a === b) continue;
+        adj[a].push(b);
+        adj[b].push(a);
+    }
+
+    // Betweenness and closeness from one BFS per source
+    const betweenness = new Array(n).fill(0);
+    for (let s = 0; s < n; s++) {
+        const dist = new Array(n).fill(-1);
+        const sigma = new Array(n).fill(0);
+        const preds = nodes.map(() => []);
+        const order = [];
+        dist[s] = 0; sigma[s] = 1;
+        const queue = [s];
+        for (let qi = 0; qi < queue.length; qi++) {
+            const v = queue[qi];
+            order.push(v);
+            for (const w of adj[v]) {
+                if (dist[w] < 0) {
+                    dist[w] = dist[v] + 1;
+                    queue.push(w);
+                }
+                if (dist[w] === dist[v] + 1) {
+                    sigma[w] += sigma[v];
+                    preds[w].push(v);
+                }
+            }
+        }
+        const delta = new Array(n).fill(0);
+        for (let k = order.length - 1; k >= 0; k--) {
+            const w = order[k];
+            for (const v of preds[w]) delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+            if (w !== s) betweenness[w] += delta[w];
+        }
+
+        const reached = order.length - 1;
+        const total = order.reduce((sum, v) => sum + dist[v], 0);
+        nodes[s].closeness = total > 0 && n > 1 ? (reached / total) * (reached / (n - 1)) : 0;
+    }
+    // Each pair was counted from both ends
+    const pairs = (n - 1) * (n - 2);
+    nodes.forEach((node, i) => node.betweenness = pairs > 0 ? betweenness[i] / pairs : 0);
+
+    // Eigenvector: power iteration on A + I, which converges on bipartite graphs (e.g. stars) too
+    let x = new Array(n).fill(1);
+    for (let iter = 0; iter < 100; iter++) {
+        const next = x.map((v, i) => v + adj[i].reduce((sum, j) => sum + x[j], 0));
+        const max = Math.max(...next) || 1;
+        const change = next.reduce((sum, v, i) => sum + Math.abs(v / max - x[i]), 0);
+        x = next.map(v => v / max);
+        if (change < 1e-6 * n) break;
+    }
+    nodes.forEach((node, i) => node.eigenvector = adj[i].length > 0 ? x[i] : 0);
+
+    // Local clustering coefficient
+    const neighborSets = adj.map(list => new Set(list));
+    nodes.forEach((node, i) => {
+        const nb = [...neighborSets[i]];
+        const k = nb.length;
+        if (k < 2) { node.clustering = 0; return; }
+        let links = 0;
+        for (let a = 0; a < k; a++) {
+            for (let b = a + 1; b < k; b++) if (neighborSets[nb[a]].has(nb[b])) links++;
+        }
+        node.clustering = (2 * links) / (k * (k - 1));
+    });
+
+    // k-core: repeatedly peel the node of lowest remaining degree
+    const degree = neighborSets.map(set => set.size);
+    const removed = new Array(n).fill(false);
+    let core = 0;
+    for (let step = 0; step < n; step++) {
+        let v = -1;
+        for (let i = 0; i < n; i++) {
+            if (!removed[i] && (v < 0 || degree[i] < degree[v])) v = i;
+        }
+        core = Math.max(core, degree[v]);
+        nodes[v].kcore = core;
+        removed[v] = true;
+        for (const w of neighborSets[v]) if (!removed[w]) degree[w]--;
+    }
+}
+
+/**
+ * Flag the top 20% of nodes by a metric as hubs. Degree keeps its minimum of 3;
+ * other metrics require a value above zero.
+ */
+function markHubs(nodes, metric = 'degree') {
+    const key = NETWORK_METRICS[metric] ? metric : 'degree';
+    const sorted = [...nodes].sort((a, b) => b[key] - a[key]);
+    const cut = sorted[Math.floor(nodes.length * 0.2)]?.[key];
+    const hubTh = key === 'degree' ? Math.max(cut || 1, 3) : cut;
+    for (const n of nodes) n.isHub = key === 'degree' ? n[key] >= hubTh : n[key] > 0 && n[key] >= hubTh;
+}
+
+// ===== Modules =====
+
+// Modules smaller than this are not colored, outlined, or listed
+const MIN_MODULE_SIZE = 3;
+const MODULE_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2', '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac'];
+
+function moduleColor(module) {
+    return MODULE_COLORS[(module - 1) % MODULE_COLORS.length];
+}
+
+/**
+ * Louvain community detection (Blondel et al., 2008) on the score-weighted network: nodes move
+ * to the neighboring community with the largest modularity gain until none improves, then
+ * communities are merged into single nodes and the pass repeats.
+ * Sets `module` on every node, numbered 1.. from the largest module down.
+ * @returns {number} modularity of the final partition
+ */
+function detectCommunities(nodes, edges) {
+    const index = {};
+    nodes.forEach((node, i) => index[node.id] = i);
+    // Current (aggregated) graph as weighted adjacency; a self-loop holds a community's internal weight, both directions
+    let adj = nodes.map(() => new Map());
+    for (const e of edges) {
+        const a = index[e.source], b = index[e.target];
+        if (a === undefined || b === undefined || a === b) continue;
+        const w = e.score / 1000;
+        adj[a].set(b, (adj[a].get(b) || 0) + w);
+        adj[b].set(a, (adj[b].get(a) || 0) + w);
+    }
+    const degreeOf = (nb) => [...nb.values()].reduce((sum, w) => sum + w, 0);
+    const m2 = adj.reduce((sum, nb) => sum + degreeOf(nb), 0); // 2m
+    let membership = nodes.map((_, i) => i);
+
+    for (let level = 0; m2 > 0 && level < 20; level++) {
+        const k = adj.map(degreeOf);
+        const community = adj.map((_, i) => i);
+        const tot = [...k];
+        let improved = false;
+
+        for (let pass = 0, moved = true; moved && pass < 100; pass++) {
+            moved = false;
+            for (let i = 0; i < adj.length; i++) {
+                const ci = community[i];
+                const links = new Map();
+                for (const [j, w] of adj[i]) {
+                    if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + w);
+                }
+                tot[ci] -= k[i];
+                let best = ci;
+                let bestGain = (links.get(ci) || 0) - tot[ci] * k[i] / m2;
+                for (const [c, w] of links) {
+                    const gain = w - tot[c] * k[i] / m2;
+                    if (gain > bestGain + 1e-12) { best = c; bestGain = gain; }
+                }
+                tot[best] += k[i];
+                if (best !== ci) {
+                    community[i] = best;
+                    moved = true;
+                    improved = true;
+                }
+            }
+        }
+        if (!improved) break;
+
+        const relabel = new Map();
+        for (const c of community) if (!relabel.has(c)) relabel.set(c, relabel.size);
+        membership = membership.map(c => relabel.get(community[c]));
+        const next = [...relabel.keys()].map(() => new Map());
+        adj.forEach((nb, i) => {
+            const ci = relabel.get(community[i]);
+            for (const [j, w] of nb) {
+                const cj = relabel.get(community[j]);
+                next[ci].set(cj, (next[ci].get(cj) || 0) + w);
+            }
+        });
+        adj = next;
+    }
+
+    // Modularity Q = Σ_c [in_c / 2m − (tot_c / 2m)²] over the final communities
+    const modularity = m2 > 0 ? adj.reduce((q, nb, c) => q + (nb.get(c) || 0) / m2 - (degreeOf(nb) / m2) ** 2, 0) : 0;
+
+    const sizes = {};
+    for (const c of membership) sizes[c] = (sizes[c] || 0) + 1;
+    const order = Object.keys(sizes).map(Number).sort((a, b) => sizes[b] - sizes[a] || a - b);
+    const number = {};
+    order.forEach((c, i) => number[c] = i + 1);
+    nodes.forEach((node, i) => node.module = number[membership[i]]);
+    return modularity;
+}
+
+/** Convex hull (Andrew's monotone chain) of points [x, y], counter-clockwise. */
+function convexHull(points) {
+    const pts = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    if (pts.length < 3) return pts;
+    const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+    const lower = [], upper = [];
+    for (const p of pts) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    for (let i = pts.length - 1; i >= 0; i--) {
+        const p = pts[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+/** SVG path outlining a set of nodes, padded around each node's circle. */
+function hullPath(members, pad = 10) {
+    const points = [];
+    for (const n of members) {
+        for (let a = 0; a < 12; a++) {
+            const angle = (a / 12) * 2 * Math.PI;
+            points.push([n.x + Math.cos(angle) * (n.r + pad), n.y + Math.sin(angle) * (n.r + pad)]);
+        }
+    }
+    const hull = convexHull(points);
+    return hull.map((p, i) => `${i === 0 ? 'M' : 'L'}${p[0].toFixed(1)},${p[1].toFixed(1)}`).join('') + 'Z';
+}
+
+// ===== Network =====
+
+// Default interactors added per query gene, and per "expand neighbors" on a node
+const PARTNERS_PER_GENE = 10;
+// Interactors added per first-shell node when the depth is 2
+const SECOND_SHELL_PARTNERS = 5;
+// Interactors drawn at most, on top of the query genes; the layout is quadratic in the node count
+const MAX_NETWORK_NODES = 400;
+
+
 /**
  * Build and render a PPI network for the given genes.
- * @returns {Object|null} { svg, nodes }
+ * @param {Object} [options]
+ * @param {number} [options.depth=1] - 1 = query genes and their partners, 2 = also the partners' partners
+ * @param {number} [options.maxPartners=10] - interactors added per query gene and per expansion
+ * @param {boolean} [options.induced=false] - add every edge among the drawn nodes above the threshold
+ * @param {string[]|null} [options.channels] - evidence channels scored against the threshold (null = combined score)
+ * @param {string} [options.hubMetric='degree'] - NETWORK_METRICS key whose top 20% are hubs
+ * @param {string|null} [options.sizeBy] - NETWORK_METRICS key scaling node radius; null sizes queries and hubs large
+ * @param {boolean} [options.modules=false] - detect Louvain modules; color their nodes and draw hulls
+ * @param {Object} [options.expanded] - pid -> number of times its neighbors were expanded (in expansion order)
+ * @param {Object} [options.positions] - pid -> { x, y } from a previous layout; those nodes keep their place
+ * @param {Function} [options.onExpand] - called with a pid when its node is double-clicked
+ * @returns {Object|null} { svg, nodes, edges, modularity, truncated }; with modules, nodes carry `module`; edges carry the dominant `channel` when the data has subscores,
+ *   and induced edges `induced: true`. `truncated` counts interactors left out by MAX_NETWORK_NODES.
  */
-function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, getNameFn, taxid) {
+function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, getNameFn, taxid, options = {}) {
     if (!ppiData) return null;
+    const {
+        depth = 1, maxPartners = PARTNERS_PER_GENE, induced = false, channels = null,
+        hubMetric = 'degree', sizeBy = null, modules = false, expanded = {}, positions = {}, onExpand = null,
+    } = options;
 
     const queryIds = new Set(resolvedGenes.filter(g => g.proteinId).map(g => g.proteinId));
     if (queryIds.size === 0) return null;
@@ -28,83 +365,132 @@ function buildPPINetworkSVG(resolvedGenes, ppiData, infoData, scoreThreshold, ge
         nodeMap[pid] = { id: pid, name: getNameFn(pid), isQuery: true, degree: 0 };
     }
 
-    for (const pid of queryIds) {
-        const interactions = ppiData[pid];
-        if (!interactions) continue;
-
-        const top = interactions
-            .filter(i => i.s >= scoreThreshold)
-            .sort((a, b) => b.s - a.s)
-            .slice(0, 10);
+    function addEdge(pid, i, extra) {
+        const ek = [pid, i.p].sort().join('|');
+        if (edgeSet.has(ek)) return;
+        edgeSet.add(ek);
+        edges.push({ source: pid, target: i.p, score: i.s, channel: dominantChannel(i, channels), ...extra });
+        nodeMap[pid].degree++;
+        nodeMap[i.p].degree++;
+    }
 
-        for (const { p, s } of top) {
-            if (!nodeMap[p]) {
-                nodeMap[p] = { id: p, name: getNameFn(p), isQuery: queryIds.has(p), degree: 0 };
-            }
-            const ek = [pid, p].sort().join('|');
-            if (!edgeSet.has(ek)) {
-                edgeSet.add(ek);
-                edges.push({ source: pid, target: p, score: s });
-                nodeMap[pid].degree++;
-                nodeMap[p].degree++;
+    // Partners of several nodes are added strongest first, so the node limit drops the weakest
+    let partnerCount = 0;
+    const leftOut = new Set();
+    function addPartners(requests) { // [[pid, number of partners], ...]
+        const links = [];
+        for (const [pid, count] of requests) {
+            for (const i of topPartners(ppiData, pid, scoreThreshold, count, channels)) links.push({ pid, i });
+        }
+        links.sort((a, b) => b.i.s - a.i.s);
+        for (const { pid, i } of links) {
+            if (!nodeMap[i.p]) {
+                if (partnerCount >= MAX_NETWORK_NODES) {
+                    leftOut.add(i.p);
+                    continue;
+                }
+                nodeMap[i.p] = { id: i.p, name: getNameFn(i.p), isQuery: queryIds.has(i.p), degree: 0 };
+                partnerCount++;
             }
+            addEdge(pid, i);
         }
     }
 
+    addPartners([...queryIds].map(pid => [pid, maxPartners * (1 + (expanded[pid] || 0))]));
+
+    // Second shell: partners of the first-shell interactors
+    if (depth >= 2) {
+        const firstShell = Object.values(nodeMap).filter(n => !n.isQuery).map(n => [n.id, SECOND_SHELL_PARTNERS]);
+        addPartners(firstShell);
+    }
+
+    // Expanded nodes; an expansion can only grow from a node that is still drawn
+    for (const [pid, count] of Object.entries(expanded)) {
+        if (!nodeMap[pid] || queryIds.has(pid)) continue;
+        const base = depth >= 2 ? SECOND_SHELL_PARTNERS : 0;
+        addPartners([[pid, base + maxPartners * count]]);
+    }
+
     // Cross-query edges
     const qa = [...queryIds];
     for (let i = 0; i < qa.length; i++) {
         for (let j = i + 1; j < qa.length; j++) {
             const ints = ppiData[qa[i]];
             if (!ints) continue;
-            const link = ints.find(x => x.p === qa[j] && x.s >= scoreThreshold);
-            if (link) {
-                const ek = [qa[i], qa[j]].sort().join('|');
-                if (!edgeSet.has(ek)) {
-                    edgeSet.add(ek);
-                    edges.push({ source: qa[i], target: qa[j], score: link.s });
-                    nodeMap[qa[i]].degree++;
-                    nodeMap[qa[j]].degree++;
-                }
+            const link = ints.find(x => x.p === qa[j]);
+            const s = link ? evidenceScore(link, channels) : 0;
+            if (link && s >= scoreThreshold) addEdge(qa[i], { ...link, s });
+        }
+    }
+
+    // Induced subgraph: interactions between any two drawn nodes, e.g. within complexes
+    if (induced) {
+        for (const pid of Object.keys(nodeMap)) {
+            for (const link of ppiData[pid] || []) {
+                if (!nodeMap[link.p]) continue;
+                const s = evidenceScore(link, channels);
+                if (s >= scoreThreshold) addEdge(pid, { ...link, s }, { induced: true });
             }
         }
     }
 
     const nodes = Object.values(nodeMap);
     if (nodes.length === 0) return null;
+    const incident = {};
+    for (const n of nodes) incident[n.id] = [];
+    for (const e of edges) {
+        incident[e.source].push(e);
+        incident[e.target].push(e);
+    }
 
     // Hub detection
-    const sorted = [...nodes].sort((a, b) => b.degree - a.degree);
-    const hubTh = Math.max(sorted[Math.floor(nodes.length * 0.2)]?.degree || 1, 3);
-    for (const n of nodes) n.isHub = n.degree >= hubTh;
+    computeCentralities(nodes, edges);
+    markHubs(nodes, hubMetric);
+    const sizeMax = sizeBy && NETWORK_METRICS[sizeBy] ? Math.max(...nodes.map(n => n[sizeBy])) : 0;
 
-    // Initialize random positions
+    // Nodes from the previous layout stay put; new ones start next to a placed neighbor
     const width = 800, height = 600;
     const cx = width / 2, cy = height / 2;
     for (const n of nodes) {
-        n.x = cx + (Math.random() - 0.5) * 50; // Start localized
-        n.y = cy + (Math.random() - 0.5) * 50;
+        const prev = positions[n.id];
+        if (prev) {
+            n.x = prev.x;
+            n.y = prev.y;
+            n.fixed = true;
+        }
         n.vx = 0; n.vy = 0;
-        n.r = n.isQuery || n.isHub ? 14 : 7;
+        n.r = sizeMax > 0
+            ? 6 + 12 * Math.sqrt(n[sizeBy] / sizeMax)
+            : (n.isQuery || n.isHub ? 14 : 7);
+    }
+    for (const n of nodes) {
+        if (n.fixed) continue;
+        const anchor = incident[n.id]
+            .map(e => nodeMap[e.source === n.id ? e.target : e.source])
+            .find(m => m.fixed);
+        const ax = anchor ? anchor.x : cx, ay = anchor ? anchor.y : cy;
+        n.x = ax + (Math.random() - 0.5) * 50; // Start localized
+        n.y = ay + (Math.random() - 0.5) * 50;
     }
 
-    // --- Pre-calculate Layout (Synchronous) ---
-    runSimulationSync(nodes, edges, width, height);
+    // --- Pre-calculate Layout (Synchronous), new nodes only ---
+    if (nodes.some(n => !n.fixed)) runSimulationSync(nodes, edges, width, height);
+    for (const n of nodes) delete n.fixed;
 
     // Calculate Weighted Degree (Score Sum)
     nodes.forEach(n => {
-        n.scoreSum = edges
-            .filter(e => e.source === n.id || e.target === n.id)
-            .reduce((sum, e) => sum + e.score, 0);
+        n.scoreSum = incident[n.id].reduce((sum, e) => sum + e.score, 0);
     });
 
-    const svg = renderNetworkViewer(nodes, edges, width, height, taxid);
-    return { svg, nodes };
+    const modularity = modules ? detectCommunities(nodes, edges) : null;
+
+    const svg = renderNetworkViewer(nodes, edges, width, height, taxid, onExpand);
+    return { svg, nodes, edges, modularity, truncated: leftOut.size };
 }
 
 /**
  * Run Force-Directed Simulation Synchronously
- * (Approx 300 iterations)
+ * (Approx 300 iterations). Nodes flagged `fixed` push and pull the others but do not move.
  */
 function runSimulationSync(nodes, edges, width, height) {
     const k = Math.sqrt((width * height) / (nodes.length || 1)) * 1.5;
@@ -142,8 +528,8 @@ function runSimulationSync(nodes, edges, width, height) {
                     const overlap = rSum - dist;
                     const pushX = (dx / dist) * overlap * 0.8 * alpha;
                     const pushY = (dy / dist) * overlap * 0.8 * alpha;
-                    nodes[i].x += pushX; nodes[i].y += pushY;
-                    nodes[j].x -= pushX; nodes[j].y -= pushY;
+                    if (!nodes[i].fixed) { nodes[i].x += pushX; nodes[i].y += pushY; }
+                    if (!nodes[j].fixed) { nodes[j].x -= pushX; nodes[j].y -= pushY; }
                 }
             }
         }
@@ -176,6 +562,7 @@ function runSimulationSync(nodes, edges, width, height) {
 
         // Update positions
         nodes.forEach(n => {
+            if (n.fixed) return;
             const v = Math.sqrt(n.vx * n.vx + n.vy * n.vy) || 1;
             const maxV = 15 * alpha; // Lower limit as it cools
             if (v > maxV) { n.vx *= maxV / v; n.vy *= maxV / v; }
@@ -189,7 +576,7 @@ function runSimulationSync(nodes, edges, width, height) {
 /**
  * Render the viewer with Zoom/Pan capabilities.
  */
-function renderNetworkViewer(nodes, edges, width, height, taxid) {
+function renderNetworkViewer(nodes, edges, width, height, taxid, onExpand) {
     const theme = document.documentElement.getAttribute('data-theme');
     const isDark = theme === 'dark';
 
@@ -266,20 +653,42 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
     const nodeElements = {};
     const edgeElements = [];
 
+    // Module hulls, beneath edges and nodes
+    const moduleMembers = {};
+    for (const n of nodes) {
+        if (n.module) (moduleMembers[n.module] = moduleMembers[n.module] || []).push(n);
+    }
+    const hullElements = {};
+    for (const [module, members] of Object.entries(moduleMembers)) {
+        if (members.length < MIN_MODULE_SIZE) continue;
+        const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        path.setAttribute('d', hullPath(members));
+        path.setAttribute('fill', moduleColor(+module));
+        path.setAttribute('fill-opacity', isDark ? 0.18 : 0.12);
+        path.setAttribute('stroke', moduleColor(+module));
+        path.setAttribute('stroke-opacity', 0.6);
+        path.setAttribute('stroke-linejoin', 'round');
+        container.appendChild(path);
+        hullElements[module] = path;
+    }
+    const inModule = (n) => hullElements[n.module] !== undefined;
+
     // Edges
-    const maxScore = Math.max(...edges.map(e => e.score)) || 1;
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+    const maxScore = edges.reduce((max, e) => Math.max(max, e.score), 0) || 1;
     for (const e of edges) {
         const scoreNorm = e.score / maxScore;
         const width = 0.5 + scoreNorm * 2.5;
         const opacity = 0.2 + scoreNorm * 0.5;
 
         const l = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        l.setAttribute('stroke', isDark ? '#888' : '#666');
+        const channel = e.channel && PPI_CHANNELS.find(c => c.key === e.channel);
+        l.setAttribute('stroke', channel ? channel.color : (isDark ? '#888' : '#666'));
         l.setAttribute('stroke-width', width);
         l.setAttribute('stroke-opacity', opacity);
 
-        const s = nodes.find(n => n.id === e.source);
-        const t = nodes.find(n => n.id === e.target);
+        const s = nodeById.get(e.source);
+        const t = nodeById.get(e.target);
         if (s && t) {
             l.setAttribute('x1', s.x); l.setAttribute('y1', s.y);
             l.setAttribute('x2', t.x); l.setAttribute('y2', t.y);
@@ -297,12 +706,14 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
         const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
         c.setAttribute('r', n.r);
 
-        if (n.isQuery) c.setAttribute('fill', `url(#${gid('grad-query')})`);
+        if (inModule(n)) c.setAttribute('fill', moduleColor(n.module));
+        else if (n.isQuery) c.setAttribute('fill', `url(#${gid('grad-query')})`);
         else if (n.isHub) c.setAttribute('fill', `url(#${gid('grad-hub')})`);
         else c.setAttribute('fill', isDark ? `url(#${gid('grad-node-dark')})` : `url(#${gid('grad-node')})`);
 
         c.setAttribute('stroke', isDark ? '#fff' : '#333');
-        c.setAttribute('stroke-width', n.isQuery ? 1.5 : 0.5);
+        // Module colors replace the query gradient, so query genes get a heavier outline
+        c.setAttribute('stroke-width', n.isQuery ? (inModule(n) ? 3 : 1.5) : 0.5);
         c.setAttribute('stroke-opacity', 0.8);
         g.appendChild(c);
 
@@ -336,13 +747,23 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
             });
         }
 
+        if (onExpand) {
+            g.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                onExpand(n.id);
+            });
+        }
+
         container.appendChild(g);
         nodeElements[n.id] = g;
     }
 
     // Setup Interaction (Zoom/Pan/Drag)
     // Pass initial transform state so handlers know current scale/translate
-    setupInteraction(svg, container, translateX, translateY, scale, nodes, nodeElements, edgeElements);
+    const onNodeMoved = (n) => {
+        if (hullElements[n.module]) hullElements[n.module].setAttribute('d', hullPath(moduleMembers[n.module]));
+    };
+    setupInteraction(svg, container, translateX, translateY, scale, nodes, nodeElements, edgeElements, onNodeMoved);
 
     return svg;
 }
@@ -350,7 +771,7 @@ function renderNetworkViewer(nodes, edges, width, height, taxid) {
 /**
  * Interaction Handling: Zoom, Pan, Drag
  */
-function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeElements, edgeElements) {
+function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeElements, edgeElements, onNodeMoved) {
     let scale = initScale;
     let translateX = initX;
     let translateY = initY;
@@ -405,6 +826,12 @@ function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeEl
     });
 
     // Drag Node
+    const nodeById = new Map(nodes.map(n => [n.id, n]));
+    const edgesByNode = {};
+    for (const edge of edgeElements) {
+        (edgesByNode[edge.source] = edgesByNode[edge.source] || []).push(edge);
+        (edgesByNode[edge.target] = edgesByNode[edge.target] || []).push(edge);
+    }
     let draggedNode = null;
     let dragInteractOffsetX = 0;
     let dragInteractOffsetY = 0;
@@ -412,7 +839,7 @@ function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeEl
     Object.entries(nodeElements).forEach(([id, el]) => {
         el.addEventListener('mousedown', (e) => {
             e.stopPropagation();
-            const n = nodes.find(x => x.id === id);
+            const n = nodeById.get(id);
             if (!n) return;
             draggedNode = n;
             el.style.cursor = 'grabbing';
@@ -464,17 +891,15 @@ function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeEl
             if (el) el.setAttribute('transform', `translate(${draggedNode.x},${draggedNode.y})`);
 
             // Update Connected Edges
-            // This requires scanning edges. For <200 edges this is fine.
-            edgeElements.forEach(edge => {
-                if (edge.source === draggedNode.id || edge.target === draggedNode.id) {
-                    const s = nodes.find(n => n.id === edge.source);
-                    const t = nodes.find(n => n.id === edge.target);
-                    if (s && t) {
-                        edge.el.setAttribute('x1', s.x); edge.el.setAttribute('y1', s.y);
-                        edge.el.setAttribute('x2', t.x); edge.el.setAttribute('y2', t.y);
-                    }
+            (edgesByNode[draggedNode.id] || []).forEach(edge => {
+                const s = nodeById.get(edge.source);
+                const t = nodeById.get(edge.target);
+                if (s && t) {
+                    edge.el.setAttribute('x1', s.x); edge.el.setAttribute('y1', s.y);
+                    edge.el.setAttribute('x2', t.x); edge.el.setAttribute('y2', t.y);
                 }
             });
+            if (onNodeMoved) onNodeMoved(draggedNode);
         }
     }
 
@@ -498,4 +923,7 @@ function setupInteraction(svg, container, initX, initY, initScale, nodes, nodeEl
     window.addEventListener('mouseup', onUp);
 }
 
-window.PPINetwork = { buildPPINetworkSVG };
+window.PPINetwork = {
+    buildPPINetworkSVG, runSimulationSync, computeCentralities, detectCommunities, moduleColor, evidenceScore, dominantChannel,
+    PPI_CHANNELS, NETWORK_METRICS, MIN_MODULE_SIZE, MAX_NETWORK_NODES,
+};
@@ -0,0 +1,192 @@
+/**
+ * geneRelate — Gene Ontology DAG
+ * Ancestor lookup over is_a / part_of edges and true-path annotation propagation
+ * for enrichment backgrounds. Loaded on the main thread and in enrichment-worker.js.
+ * No external dependencies.
+ */
+
+// data/go_dag.json, written by scripts/build-go-dag.js from go-basic.obo:
+//   { format, version, dataVersion, terms: { "GO:...": [name, namespace, [is_a ids], [part_of ids]] } }
+// Namespace is 'P', 'F' or 'C'.
+const GO_DAG_FORMAT = 'generelate-go-dag';
+const GO_DAG_VERSION = 1;
+
+const GO_NAMESPACE_CATEGORY = {
+    P: 'Biological Process',
+    F: 'Molecular Function',
+    C: 'Cellular Component',
+};
+
+const GO_ROOTS = { P: 'GO:0008150', F: 'GO:0003674', C: 'GO:0005575' };
+
+// Terms annotating more than this fraction of their namespace are too general to
+// represent a cluster when a more specific term is available (REVIGO's rule)
+const GENERAL_TERM_FREQUENCY = 0.05;
+
+// dag -> Map(term -> Set of ancestors), filled lazily
+const _ancestorCache = new WeakMap();
+
+function isValidGODag(dag) {
+    return !!dag && dag.format === GO_DAG_FORMAT && dag.version === GO_DAG_VERSION && !!dag.terms;
+}
+
+/** Direct parents of a term along is_a and part_of edges. */
+function getParents(dag, term) {
+    const entry = dag.terms[term];
+    return entry ? [...(entry[2] || []), ...(entry[3] || [])] : [];
+}
+
+/**
+ * All ancestors of a term along is_a and part_of edges (the term itself excluded).
+ * @returns {Set<string>} empty for terms missing from the DAG
+ */
+function getAncestors(dag, term) {
+    let cache = _ancestorCache.get(dag);
+    if (!cache) {
+        cache = new Map();
+        _ancestorCache.set(dag, cache);
+    }
+    if (cache.has(term)) return cache.get(term);
+
+    const ancestors = new Set();
+    for (const parent of getParents(dag, term)) {
+        ancestors.add(parent);
+        for (const a of getAncestors(dag, parent)) ancestors.add(a);
+    }
+    cache.set(term, ancestors);
+    return ancestors;
+}
+
+/**
+ * Propagate a GO background up the DAG: every gene annotated to a term is also
+ * counted for all of that term's ancestors, as in topGO and ShinyGO.
+ * @param {Object} bg - background from buildGOBackground() / decodeBackgroundIndex()
+ * @param {Object} dag - GO DAG from data/go_dag.json
+ * @returns {Object} new background; bg itself is not modified
+ */
+function propagateBackground(bg, dag) {
+    const terms = {};
+    const ensure = (term, fallback) => {
+        if (!terms[term]) {
+            const entry = dag.terms[term];
+            terms[term] = {
+                desc: entry ? entry[0] : fallback.desc,
+                category: entry ? GO_NAMESPACE_CATEGORY[entry[1]] || fallback.category : fallback.category,
+                members: new Set(),
+            };
+        }
+        return terms[term];
+    };
+
+    for (const [term, info] of Object.entries(bg.terms)) {
+        const targets = [term, ...getAncestors(dag, term)];
+        for (const t of targets) {
+            const out = ensure(t, info);
+            for (const id of info.members) out.members.add(id);
+        }
+    }
+    return { ...bg, terms, propagated: true };
+}
+
+// ===== Semantic Similarity =====
+
+/**
+ * Information content IC(t) = -ln(p(t)), where p(t) is the fraction of the
+ * namespace's annotated genes annotated to t or a descendant.
+ * @param {Object} bg - propagated genome-wide GO background for the species
+ * @param {Object} dag - GO DAG
+ * @param {string[]} terms - terms needed; their ancestors are included
+ * @returns {Object} term -> IC
+ */
+function computeInformationContent(bg, dag, terms) {
+    const rootSize = {};
+    for (const [ns, root] of Object.entries(GO_ROOTS)) {
+        if (bg.terms[root]) rootSize[ns] = bg.terms[root].members.size;
+    }
+    for (const [term, info] of Object.entries(bg.terms)) {
+        const entry = dag.terms[term];
+        if (entry && !bg.terms[GO_ROOTS[entry[1]]]) {
+            rootSize[entry[1]] = Math.max(rootSize[entry[1]] || 0, info.members.size);
+        }
+    }
+
+    const ic = {};
+    const add = (t) => {
+        if (ic[t] !== undefined || !bg.terms[t] || !dag.terms[t]) return;
+        const total = rootSize[dag.terms[t][1]];
+        const size = bg.terms[t].members.size;
+        if (total > 0 && size > 0) ic[t] = Math.max(0, Math.round(-Math.log(size / total) * 10000) / 10000);
+    };
+    for (const term of terms) {
+        add(term);
+        for (const a of getAncestors(dag, term)) add(a);
+    }
+    return ic;
+}
+
+/**
+ * Semantic similarity of two GO terms from the IC of their most informative common ancestor (MICA).
+ * @param {string} measure - 'lin' (2·IC(MICA) / (IC(a) + IC(b))) or 'resnik' (IC(MICA) / maxIC)
+ * @param {number} maxIC - largest IC, used to scale Resnik similarity to 0..1
+ * @returns {number} 0..1; terms from different namespaces score 0
+ */
+function semanticSimilarity(dag, ic, a, b, measure, maxIC) {
+    if (a === b) return 1;
+    const ea = dag.terms[a];
+    const eb = dag.terms[b];
+    if (!ea || !eb || ea[1] !== eb[1]) return 0;
+
+    const ancestorsA = new Set([a, ...getAncestors(dag, a)]);
+    let mica = 0;
+    for (const t of [b, ...getAncestors(dag, b)]) {
+        if (ancestorsA.has(t) && (ic[t] || 0) > mica) mica = ic[t];
+    }
+    if (measure === 'resnik') return maxIC > 0 ? mica / maxIC : 0;
+    const denom = (ic[a] || 0) + (ic[b] || 0);
+    return denom > 0 ? (2 * mica) / denom : 0;
+}
+
+/**
+ * REVIGO-like reduction of enriched GO terms. Terms are visited from most to least
+ * significant (overly general terms last); each joins the most similar existing
+ * representative at or above the threshold, or becomes a representative itself.
+ * @param {Object[]} results - enrichment results, best first
+ * @param {Object} ic - from computeInformationContent()
+ * @param {Object} dag - GO DAG
+ * @param {Object} options - { measure: 'lin'|'resnik', threshold: 0..1, pKey: 'pValue'|'pDecorrelated' }
+ * @returns {Object[]} copies of the representative results, each with
+ *          represents: [{ term, description, similarity }]
+ */
+function reduceTerms(results, ic, dag, options) {
+    const { measure, threshold } = options;
+    const pKey = options.pKey || 'pValue';
+    const maxIC = Math.max(0, ...Object.values(ic));
+    const generalIC = -Math.log(GENERAL_TERM_FREQUENCY);
+    const isGeneral = (r) => ic[r.term] !== undefined && ic[r.term] < generalIC;
+
+    const ordered = [...results].sort((a, b) => (isGeneral(a) - isGeneral(b)) || (a[pKey] - b[pKey]));
+    const reps = [];
+    for (const r of ordered) {
+        let best = null;
+        let bestSim = threshold;
+        for (const rep of reps) {
+            const sim = semanticSimilarity(dag, ic, rep.term, r.term, measure, maxIC);
+            if (sim >= bestSim) {
+                best = rep;
+                bestSim = sim;
+            }
+        }
+        if (best) {
+            best.represents.push({ term: r.term, description: r.description, similarity: Math.round(bestSim * 1000) / 1000 });
+        } else {
+            reps.push({ ...r, represents: [] });
+        }
+    }
+    return reps.sort((a, b) => a[pKey] - b[pKey]);
+}
+
+// Export for use in enrichment.js, app.js and enrichment-worker.js
+self.Ontology = {
+    isValidGODag, getParents, getAncestors, propagateBackground, GO_NAMESPACE_CATEGORY,
+    computeInformationContent, semanticSimilarity, reduceTerms,
+};
@@ -1,6 +1,8 @@
 /**
  * geneRelate — Publication-Quality Plot Generation
- * SVG-based enrichment plots: bar chart, dot plot, and hierarchical clustering dendrogram.
+ * SVG-based enrichment plots: bar chart, diverging (enriched/depleted) bar chart, dot plot,
+ * gene–term heatmap, gene–concept network, multi-list comparison dot plot, significance heatmap,
+ * hierarchical clustering dendrogram, enrichment map, and GSEA running-score plot.
  * Designed for academic publication standards.
  */
 
@@ -45,8 +47,10 @@ function interpolate(t, colors) {
 /**
  * Create a horizontal bar chart of top enriched terms.
  * Publication-quality: proper axes, tick marks, legends, no overlapping.
+ * pLabel names the adjusted p-value held in .fdr (e.g. 'q-value'), and fdrCutoff is the
+ * significance cutoff on it that counts and stars follow; likewise for the other plots.
  */
-function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrichment Analysis') {
+function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrichment Analysis', pLabel = 'FDR', fdrCutoff = 0.05) {
     const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse(); // reverse for bottom-to-top
     if (data.length === 0) return null;
 
@@ -82,8 +86,8 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     });
 
     // Subtitle: FDR threshold
-    const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (FDR < 0.05)`, {
+    const sigCount = data.filter(d => d.fdr <= fdrCutoff).length;
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (${pLabel} ≤ ${fdrCutoff})`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -103,7 +107,7 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
     }
 
     // X-axis label
-    addText(svg, margin.left + plotW / 2, height - 10, '−log\u2081\u2080(FDR)', {
+    addText(svg, margin.left + plotW / 2, height - 10, `−log\u2081\u2080(${pLabel})`, {
         size: '11px', fill: textColor, anchor: 'middle', weight: '500',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -125,77 +129,864 @@ function createBarChart(results, topN = 20, palette = 'Default', title = 'Enrich
 
         const r = addRect(g, 0, y, w, barH, barColor);
         r.setAttribute('rx', '2');
+        markTerm(r, d);
 
         // Significance marker
-        if (d.fdr < 0.001) {
-            addText(g, w + 4, y + barH / 2 + 1, '***', { size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle' });
-        } else if (d.fdr < 0.01) {
-            addText(g, w + 4, y + barH / 2 + 1, '**', { size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle' });
-        } else if (d.fdr < 0.05) {
-            addText(g, w + 4, y + barH / 2 + 1, '*', { size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle' });
+        const stars = significanceStars(d.fdr, fdrCutoff);
+        if (stars) addText(g, w + 4, y + barH / 2 + 1, stars, { size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle' });
+
+        // Gene count right of bar
+        addText(g, w + (stars ? 22 : 4), y + barH / 2 + 1, `n=${d.geneCount}`, {
+            size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+
+        // Term label (left of bars)
+        const label = truncLabel(d.description, 42);
+        markTerm(addText(g, -8, y + barH / 2 + 1, label, {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        }), d);
+    }
+
+    // Axes
+    addLine(g, 0, -3, 0, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // Legend: fold enrichment gradient
+    const legendX = plotW + 45;
+    const legendY = 0;
+    const legendH = Math.min(plotH * 0.5, 100);
+    const legendW = 12;
+
+    addText(g, legendX + legendW / 2, legendY - 6, 'Fold Enrichment', {
+        size: '9px', fill: textColor, anchor: 'middle', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const gradSteps = 20;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        const cy = legendY + frac * legendH;
+        const colorFn = PALETTES[palette] || PALETTES['Default'];
+        const color = colorFn(1 - frac, theme);
+        addRect(g, legendX, cy, legendW, legendH / gradSteps + 1, color);
+    }
+
+    // Legend tick labels
+    addText(g, legendX + legendW + 4, legendY + 4, maxFold.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legendX + legendW + 4, legendY + legendH, minFold.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    // Legend border
+    addRect(g, legendX, legendY, legendW, legendH, 'none').setAttribute('stroke', axisColor);
+
+    return svg;
+}
+
+/**
+ * Create a diverging bar chart: enriched terms (odds ratio > 1) extend right and depleted
+ * terms left, by −log₁₀ of the adjusted p-value.
+ */
+function createDivergingBarChart(results, topN = 20, palette = 'Default', title = 'Enrichment and Depletion', pLabel = 'FDR', fdrCutoff = 0.05) {
+    const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse();
+    if (data.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const margin = { top: 50, right: 130, bottom: 58, left: 280 };
+    const barH = 20;
+    const barGap = 7;
+    const plotH = data.length * (barH + barGap) - barGap;
+    const plotW = 480;
+    const half = plotW / 2;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+
+    const logP = (d) => -Math.log10(Math.max(d.fdr, 1e-300));
+    const isDepleted = (d) => d.oddsRatio !== undefined ? d.oddsRatio < 1 : d.fold < 1;
+    const xMax = niceMax(Math.max(...data.map(logP)));
+    const xScale = (v) => (v / xMax) * half;
+
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+    const enrichedColor = colorFn(0.85, theme);
+    const depletedColor = colorFn(0.4, theme);
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const sig = data.filter(d => d.fdr <= fdrCutoff);
+    const sigDepleted = sig.filter(isDepleted).length;
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sig.length - sigDepleted} enriched, ${sigDepleted} depleted (${pLabel} ≤ ${fdrCutoff})`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Symmetric x-axis: depletion to the left of the centre line, enrichment to the right
+    for (const t of niceTicksFor(0, xMax, 3)) {
+        for (const side of t === 0 ? [1] : [-1, 1]) {
+            const x = half + side * xScale(t);
+            addLine(g, x, -3, x, plotH, gridColor, 0.5, '2,3');
+            addLine(g, x, plotH, x, plotH + 5, axisColor, 1);
+            addText(g, x, plotH + 18, formatTick(t), {
+                size: '10px', fill: textColor, anchor: 'middle',
+                family: "'EB Garamond', Georgia, serif"
+            });
+        }
+    }
+    addText(svg, margin.left + plotW / 2, height - 10, `← depleted · −log\u2081\u2080(${pLabel}) · enriched →`, {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    for (let i = 0; i < data.length; i++) {
+        const d = data[i];
+        const y = i * (barH + barGap);
+        const w = Math.max(xScale(logP(d)), 2);
+        const depleted = isDepleted(d);
+
+        const r = addRect(g, depleted ? half - w : half, y, w, barH, depleted ? depletedColor : enrichedColor);
+        r.setAttribute('rx', '2');
+        markTerm(r, d);
+
+        const stars = significanceStars(d.fdr, fdrCutoff);
+        const ratio = d.oddsRatio !== undefined ? `OR ${d.oddsRatio.toFixed(2)}` : `n=${d.geneCount}`;
+        addText(g, depleted ? half - w - 4 : half + w + 4, y + barH / 2 + 1, `${stars} ${ratio}`.trim(), {
+            size: '9px', fill: textMuted, anchor: depleted ? 'end' : 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+
+        markTerm(addText(g, -8, y + barH / 2 + 1, truncLabel(d.description, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        }), d);
+    }
+
+    addLine(g, half, -3, half, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // Legend: direction swatches
+    const legendX = plotW + 30;
+    [['Enriched', enrichedColor], ['Depleted', depletedColor]].forEach(([label, color], i) => {
+        const ly = i * 18;
+        addRect(g, legendX, ly, 12, 12, color).setAttribute('stroke', axisColor);
+        addText(g, legendX + 18, ly + 7, label, {
+            size: '9px', fill: textColor, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    });
+
+    return svg;
+}
+
+/**
+ * Create a dot plot of enrichment results.
+ * Publication-quality with proper size and color legends.
+ */
+function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichment Dot Plot', pLabel = 'FDR', fdrCutoff = 0.05) {
+    const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse();
+    if (data.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const margin = { top: 50, right: 130, bottom: 58, left: 280 };
+    const rowH = 26;
+    const plotH = data.length * rowH;
+    const plotW = 380;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+
+    const maxFold = Math.max(...data.map(d => d.fold));
+    const xMax = niceMax(maxFold);
+    const maxGeneCount = Math.max(...data.map(d => d.geneCount));
+    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-300))));
+
+    const xScale = (v) => (v / xMax) * plotW;
+    const rScale = (v) => 3 + (v / Math.max(maxGeneCount, 1)) * 9;
+
+    const svg = makeSVG(width, height);
+
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const sigCount = data.filter(d => d.fdr <= fdrCutoff).length;
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (${pLabel} ≤ ${fdrCutoff})`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Gridlines
+    const ticks = niceTicksFor(0, xMax, 5);
+    for (const t of ticks) {
+        const x = xScale(t);
+        addLine(g, x, -3, x, plotH, gridColor, 0.5, '2,3');
+        addLine(g, x, plotH, x, plotH + 5, axisColor, 1);
+        addText(g, x, plotH + 18, formatTick(t), {
+            size: '10px', fill: textColor, anchor: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    }
+
+    addText(svg, margin.left + plotW / 2, height - 10, 'Fold Enrichment', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    // Horizontal gridlines for each term
+    for (let i = 0; i < data.length; i++) {
+        const y = i * rowH + rowH / 2;
+        addLine(g, 0, y, plotW, y, gridColor, 0.3);
+    }
+
+    // Dots
+    for (let i = 0; i < data.length; i++) {
+        const d = data[i];
+        const y = i * rowH + rowH / 2;
+        const x = xScale(d.fold);
+        const r = rScale(d.geneCount);
+
+        const logFDR = -Math.log10(Math.max(d.fdr, 1e-300));
+        const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
+        const colorFn = PALETTES[palette] || PALETTES['Default'];
+        const dotColor = colorFn(intensity, theme);
+
+        const c = addCircle(g, x, y, r, dotColor);
+        c.setAttribute('stroke', axisColor);
+        c.setAttribute('stroke-width', '0.5');
+        markTerm(c, d);
+
+        // Term label
+        const label = truncLabel(d.description, 42);
+        markTerm(addText(g, -8, y + 1, label, {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        }), d);
+    }
+
+    // Axes
+    addLine(g, 0, -3, 0, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // ===== Legends =====
+    const legX = plotW + 18;
+
+    // Size legend
+    addText(g, legX, 0, 'Gene Count', {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const sizeLevels = maxGeneCount <= 3
+        ? Array.from({ length: maxGeneCount }, (_, i) => i + 1)
+        : [1, Math.ceil(maxGeneCount / 2), maxGeneCount];
+
+    for (let i = 0; i < sizeLevels.length; i++) {
+        const ly = 18 + i * 24;
+        const lr = rScale(sizeLevels[i]);
+        addCircle(g, legX + 10, ly, lr, 'none').setAttribute('stroke', axisColor);
+        addText(g, legX + 25, ly + 1, String(sizeLevels[i]), {
+            size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    }
+
+    // Color legend: −log₁₀(FDR) gradient
+    const colorLegY = 18 + sizeLevels.length * 24 + 14;
+    addText(g, legX, colorLegY, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = colorLegY + 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        const cy = gradY + frac * gradH;
+        const colorFn = PALETTES[palette] || PALETTES['Default'];
+        const color = colorFn(1 - frac, theme);
+        addRect(g, legX, cy, gradW, gradH / gradSteps + 1, color);
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    return svg;
+}
+
+// Most genes drawn as heatmap columns; the most frequently shared genes are kept
+const HEATPLOT_MAX_GENES = 100;
+
+/**
+ * Gene × term membership heatmap (enrichplot's heatplot): one row per term, one column per
+ * gene, a filled cell where the gene is among the term's hits, colored by the term's −log₁₀(pLabel).
+ * @param {Object[]} results - enrichment results, most significant first
+ * @param {number} topN
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel]
+ * @param {Function} [getNameFn] - protein ID -> display name
+ */
+function createHeatPlot(results, topN = 20, palette = 'Default', title = 'Gene–Term Heatmap', pLabel = 'FDR', getNameFn = (id) => id) {
+    const data = results.filter(r => r.geneCount > 0 && r.genes).slice(0, topN);
+    if (data.length === 0) return null;
+
+    // Columns: genes ordered by how many of the shown terms they belong to
+    const freq = new Map();
+    data.forEach(d => d.genes.forEach(gene => freq.set(gene, (freq.get(gene) || 0) + 1)));
+    const allGenes = [...freq.keys()].sort((a, b) => freq.get(b) - freq.get(a) || getNameFn(a).localeCompare(getNameFn(b)));
+    const genes = allGenes.slice(0, HEATPLOT_MAX_GENES);
+    const geneIndex = new Map(genes.map((gene, i) => [gene, i]));
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const margin = { top: 50, right: 110, bottom: 90, left: 280 };
+    const rowH = 18;
+    const colW = 14;
+    const plotH = data.length * rowH;
+    const plotW = genes.length * colW;
+    const width = Math.max(margin.left + plotW + margin.right, 520);
+    const height = Math.max(margin.top + plotH + margin.bottom, 220);
+
+    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-300))));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const geneNote = allGenes.length > genes.length ? `${genes.length} of ${allGenes.length} genes (most shared)` : `${genes.length} genes`;
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${geneNote}`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Background grid
+    for (let j = 0; j <= genes.length; j++) addLine(g, j * colW, 0, j * colW, plotH, gridColor, 0.3);
+    for (let i = 0; i <= data.length; i++) addLine(g, 0, i * rowH, plotW, i * rowH, gridColor, 0.3);
+
+    data.forEach((d, i) => {
+        const y = i * rowH;
+        const logFDR = -Math.log10(Math.max(d.fdr, 1e-300));
+        const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
+        const color = colorFn(0.25 + intensity * 0.75, theme);
+        for (const gene of d.genes) {
+            const j = geneIndex.get(gene);
+            if (j === undefined) continue;
+            const cell = addRect(g, j * colW + 0.5, y + 0.5, colW - 1, rowH - 1, color);
+            const tip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            tip.textContent = `${getNameFn(gene)} — ${d.description || d.term}`;
+            cell.appendChild(tip);
         }
+        markTerm(addText(g, -8, y + rowH / 2 + 1, truncLabel(d.description || d.term, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        }), d);
+    });
 
-        // Gene count right of bar
-        addText(g, w + (d.fdr < 0.05 ? 22 : 4), y + barH / 2 + 1, `n=${d.geneCount}`, {
+    genes.forEach((gene, j) => {
+        const x = j * colW + colW / 2;
+        const label = addText(g, x, plotH + 8, truncLabel(getNameFn(gene), 14), {
+            size: '9px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        label.setAttribute('transform', `rotate(-60, ${x}, ${plotH + 8})`);
+    });
+
+    addRect(g, 0, 0, plotW, plotH, 'none').setAttribute('stroke', axisColor);
+
+    // Color legend: −log₁₀(FDR) of the term
+    const legX = plotW + 18;
+    addText(g, legX, 0, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(0.25 + (1 - frac) * 0.75, theme));
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    return svg;
+}
+
+// Terms drawn in the gene–concept network (enrichplot's showCategory default is 5)
+const CNET_MAX_TERMS = 10;
+
+/**
+ * Bipartite gene–concept network (enrichplot's cnetplot): term nodes sized by gene count and
+ * colored by −log₁₀(pLabel), linked to their hit genes. Laid out with the PPI network's
+ * force simulation when network.js is loaded, otherwise on two concentric circles.
+ * @param {Object[]} results - enrichment results, most significant first
+ * @param {number} topN - capped at CNET_MAX_TERMS
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel]
+ * @param {Function} [getNameFn] - protein ID -> display name
+ */
+function createCnetPlot(results, topN = 5, palette = 'Default', title = 'Gene–Concept Network', pLabel = 'FDR', getNameFn = (id) => id) {
+    const data = results.filter(r => r.geneCount > 0 && r.genes).slice(0, Math.min(topN, CNET_MAX_TERMS));
+    if (data.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const edgeColor = theme === 'dark' ? '#444444' : '#c8c8c8';
+    const geneColor = theme === 'dark' ? '#9a9a9a' : '#8a8a8a';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const maxGeneCount = Math.max(...data.map(d => d.geneCount));
+    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-300))));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+    const rScale = (v) => 8 + Math.sqrt(v / Math.max(maxGeneCount, 1)) * 14;
+
+    // Nodes and edges; ids are prefixed so a term and a gene never collide
+    const nodes = data.map(d => ({ id: `t:${d.term}`, term: d, r: rScale(d.geneCount) }));
+    const geneNodes = new Map();
+    const edges = [];
+    for (const d of data) {
+        for (const gene of d.genes) {
+            if (!geneNodes.has(gene)) geneNodes.set(gene, { id: `g:${gene}`, gene, r: 4, terms: 0 });
+            geneNodes.get(gene).terms++;
+            edges.push({ source: `t:${d.term}`, target: `g:${gene}`, score: 500 });
+        }
+    }
+    nodes.push(...geneNodes.values());
+
+    // Layout: force simulation on a square canvas, then fitted into the plot area
+    const size = 600;
+    nodes.forEach((n, i) => {
+        const ring = n.term ? size * 0.15 : size * 0.35;
+        const angle = (2 * Math.PI * i) / nodes.length;
+        n.x = size / 2 + ring * Math.cos(angle);
+        n.y = size / 2 + ring * Math.sin(angle);
+        n.vx = 0; n.vy = 0;
+    });
+    if (typeof window !== 'undefined' && window.PPINetwork && window.PPINetwork.runSimulationSync) {
+        window.PPINetwork.runSimulationSync(nodes, edges, size, size);
+    }
+
+    const margin = { top: 50, right: 150, bottom: 30, left: 40 };
+    const plotW = 640;
+    const plotH = 480;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+    const xs = nodes.map(n => n.x);
+    const ys = nodes.map(n => n.y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const pad = 60; // room for labels
+    const scale = Math.min((plotW - 2 * pad) / Math.max(maxX - minX, 1), (plotH - 2 * pad) / Math.max(maxY - minY, 1));
+    const px = (x) => pad + (x - minX) * scale + ((plotW - 2 * pad) - (maxX - minX) * scale) / 2;
+    const py = (y) => pad + (y - minY) * scale + ((plotH - 2 * pad) - (maxY - minY) * scale) / 2;
+    const byId = new Map(nodes.map(n => [n.id, n]));
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${geneNodes.size} genes`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    for (const e of edges) {
+        const s = byId.get(e.source);
+        const t = byId.get(e.target);
+        addLine(g, px(s.x), py(s.y), px(t.x), py(t.y), edgeColor, 0.8);
+    }
+
+    for (const n of geneNodes.values()) {
+        const c = addCircle(g, px(n.x), py(n.y), n.terms > 1 ? 5 : 4, geneColor);
+        c.setAttribute('stroke', bgColor);
+        c.setAttribute('stroke-width', '0.8');
+        addText(g, px(n.x) + 6, py(n.y) + 1, truncLabel(getNameFn(n.gene), 16), {
+            size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    }
+
+    for (const n of nodes) {
+        if (!n.term) continue;
+        const d = n.term;
+        const logFDR = -Math.log10(Math.max(d.fdr, 1e-300));
+        const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
+        const c = addCircle(g, px(n.x), py(n.y), n.r, colorFn(intensity, theme));
+        c.setAttribute('stroke', axisColor);
+        c.setAttribute('stroke-width', '0.8');
+        markTerm(c, d);
+        markTerm(addText(g, px(n.x), py(n.y) - n.r - 4, truncLabel(d.description || d.term, 36), {
+            size: '10px', fill: textColor, anchor: 'middle', weight: '600',
+            family: "'EB Garamond', Georgia, serif"
+        }), d);
+    }
+
+    // ===== Legends =====
+    const legX = plotW + 18;
+    addText(g, legX, 0, 'Gene Count', {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const sizeLevels = maxGeneCount <= 3
+        ? Array.from({ length: maxGeneCount }, (_, i) => i + 1)
+        : [1, Math.ceil(maxGeneCount / 2), maxGeneCount];
+    let ly = 14;
+    for (const v of sizeLevels) {
+        ly += rScale(v);
+        addCircle(g, legX + 22, ly, rScale(v), 'none').setAttribute('stroke', axisColor);
+        addText(g, legX + 50, ly + 1, String(v), {
+            size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        ly += rScale(v) + 6;
+    }
+
+    const colorLegY = ly + 14;
+    addText(g, legX, colorLegY, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = colorLegY + 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addCircle(g, legX + 6, gradY + gradH + 20, 4, geneColor);
+    addText(g, legX + 16, gradY + gradH + 21, 'Gene', {
+        size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    return svg;
+}
+
+/**
+ * compareCluster-style dot plot: gene lists on the x-axis, terms on the y-axis,
+ * dot size = gene ratio (hits / mapped list size), color = −log₁₀ of the adjusted p-value.
+ * @param {Object} comparison - from Enrichment.compareEnrichment()
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel]
+ */
+function createCompareDotPlot(comparison, palette = 'Default', title = 'Comparative Enrichment', pLabel = 'FDR') {
+    const { lists, terms } = comparison;
+    if (terms.length === 0 || lists.length === 0) return null;
+    const cell = new Map(comparison.rows.map(r => [`${r.list}\t${r.term}`, r]));
+    const shown = comparison.rows.filter(r => terms.some(t => t.term === r.term));
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const margin = { top: 50, right: 130, bottom: 64, left: 280 };
+    const rowH = 26;
+    const colW = 80;
+    const plotH = terms.length * rowH;
+    const plotW = lists.length * colW;
+    const width = margin.left + plotW + margin.right;
+    const height = Math.max(margin.top + plotH + margin.bottom, 260);
+
+    const maxRatio = Math.max(...shown.map(r => r.geneRatio), 1e-9);
+    const maxLogFDR = Math.max(...shown.map(r => -Math.log10(Math.max(r.fdr, 1e-300))));
+    const rScale = (v) => 3 + Math.sqrt(v / maxRatio) * 9;
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(svg, width / 2, 38, `${lists.length} lists · ${terms.length} terms`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Grid and list labels (name, then mapped list size as in compareCluster)
+    lists.forEach((list, j) => {
+        const x = j * colW + colW / 2;
+        addLine(g, x, 0, x, plotH, gridColor, 0.3);
+        addText(g, x, plotH + 18, truncLabel(list.name, 12), {
+            size: '10px', fill: textColor, anchor: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        addText(g, x, plotH + 32, `(${list.mapped})`, {
+            size: '9px', fill: textMuted, anchor: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    });
+
+    terms.forEach((t, i) => {
+        const y = i * rowH + rowH / 2;
+        addLine(g, 0, y, plotW, y, gridColor, 0.3);
+        addText(g, -8, y + 1, truncLabel(t.description || t.term, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        lists.forEach((list, j) => {
+            const r = cell.get(`${list.name}\t${t.term}`);
+            if (!r) return;
+            const logFDR = -Math.log10(Math.max(r.fdr, 1e-300));
+            const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
+            const c = addCircle(g, j * colW + colW / 2, y, rScale(r.geneRatio), colorFn(intensity, theme));
+            c.setAttribute('stroke', axisColor);
+            c.setAttribute('stroke-width', '0.5');
+        });
+    });
+
+    addLine(g, 0, 0, 0, plotH, axisColor, 1.2);
+    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+
+    // ===== Legends =====
+    const legX = plotW + 18;
+    addText(g, legX, 0, 'Gene Ratio', {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const sizeLevels = [maxRatio / 4, maxRatio / 2, maxRatio];
+    sizeLevels.forEach((v, i) => {
+        const ly = 18 + i * 24;
+        addCircle(g, legX + 10, ly, rScale(v), 'none').setAttribute('stroke', axisColor);
+        addText(g, legX + 25, ly + 1, v.toFixed(2), {
             size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
             family: "'EB Garamond', Georgia, serif"
         });
+    });
+
+    const colorLegY = 18 + sizeLevels.length * 24 + 14;
+    addText(g, legX, colorLegY, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = colorLegY + 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    return svg;
+}
+
+/**
+ * Significance heatmap of a comparison: terms as rows, lists (e.g. species) as columns,
+ * cell color = −log₁₀ of the adjusted p-value; significant cells are starred, untested ones left blank.
+ * @param {Object} comparison - from Enrichment.compareEnrichment()
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel]
+ * @param {number} [fdrCutoff=0.05] - cells at or below it are starred
+ */
+function createTermHeatmap(comparison, palette = 'Default', title = 'Enrichment Heatmap', pLabel = 'FDR', fdrCutoff = 0.05) {
+    const { lists, terms, matrix } = comparison;
+    if (terms.length === 0 || lists.length === 0) return null;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const margin = { top: 50, right: 110, bottom: 120, left: 280 };
+    const rowH = 22;
+    const colW = 44;
+    const plotH = terms.length * rowH;
+    const plotW = lists.length * colW;
+    const width = margin.left + plotW + margin.right;
+    const height = Math.max(margin.top + plotH + margin.bottom, 260);
+
+    const logs = matrix.flat().filter(v => v !== null).map(v => -Math.log10(Math.max(v, 1e-300)));
+    const maxLogFDR = Math.max(...logs, -Math.log10(fdrCutoff));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(svg, width / 2, 38, `${lists.length} columns · ${terms.length} terms · * ${pLabel} ≤ ${fdrCutoff}`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    terms.forEach((t, i) => {
+        const y = i * rowH;
+        addText(g, -8, y + rowH / 2 + 1, truncLabel(t.description || t.term, 42), {
+            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        lists.forEach((list, j) => {
+            const x = j * colW;
+            const fdr = matrix[i][j];
+            if (fdr === null) {
+                addRect(g, x, y, colW, rowH, 'none').setAttribute('stroke', gridColor);
+                return;
+            }
+            const logFDR = -Math.log10(Math.max(fdr, 1e-300));
+            const cell = addRect(g, x, y, colW, rowH, colorFn(Math.min(logFDR / maxLogFDR, 1), theme));
+            cell.setAttribute('stroke', bgColor);
+            if (fdr <= fdrCutoff) {
+                addText(g, x + colW / 2, y + rowH / 2 + 1, '*', {
+                    size: '11px', weight: '700', fill: logFDR / maxLogFDR > 0.55 ? '#ffffff' : '#1a1a1a',
+                    anchor: 'middle', baseline: 'middle'
+                });
+            }
+        });
+    });
 
-        // Term label (left of bars)
-        const label = truncLabel(d.description, 42);
-        addText(g, -8, y + barH / 2 + 1, label, {
+    // Column labels, rotated under the grid
+    lists.forEach((list, j) => {
+        const x = j * colW + colW / 2;
+        const label = addText(g, x, plotH + 10, truncLabel(list.name, 24), {
             size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
             family: "'EB Garamond', Georgia, serif"
         });
-    }
-
-    // Axes
-    addLine(g, 0, -3, 0, plotH, axisColor, 1.2);
-    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
+        label.setAttribute('transform', `rotate(-40, ${x}, ${plotH + 10})`);
+    });
 
-    // Legend: fold enrichment gradient
-    const legendX = plotW + 45;
-    const legendY = 0;
-    const legendH = Math.min(plotH * 0.5, 100);
-    const legendW = 12;
+    addRect(g, 0, 0, plotW, plotH, 'none').setAttribute('stroke', axisColor);
 
-    addText(g, legendX + legendW / 2, legendY - 6, 'Fold Enrichment', {
-        size: '9px', fill: textColor, anchor: 'middle', weight: '600',
+    // Color legend: −log₁₀(FDR) gradient
+    const legX = plotW + 18;
+    addText(g, legX, 0, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
         family: "'EB Garamond', Georgia, serif"
     });
-
-    const gradSteps = 20;
+    const gradH = 80;
+    const gradW = 12;
+    const gradY = 10;
+    const gradSteps = 15;
     for (let i = 0; i < gradSteps; i++) {
         const frac = i / (gradSteps - 1);
-        const cy = legendY + frac * legendH;
-        const colorFn = PALETTES[palette] || PALETTES['Default'];
-        const color = colorFn(1 - frac, theme);
-        addRect(g, legendX, cy, legendW, legendH / gradSteps + 1, color);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(1 - frac, theme));
     }
-
-    // Legend tick labels
-    addText(g, legendX + legendW + 4, legendY + 4, maxFold.toFixed(1), {
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
         size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
-    addText(g, legendX + legendW + 4, legendY + legendH, minFold.toFixed(1), {
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addRect(g, legX, gradY + gradH + 14, gradW, gradW, 'none').setAttribute('stroke', gridColor);
+    addText(g, legX + gradW + 4, gradY + gradH + 14 + gradW / 2, 'not tested', {
         size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
-
-    // Legend border
-    addRect(g, legendX, legendY, legendW, legendH, 'none').setAttribute('stroke', axisColor);
 
     return svg;
 }
 
 /**
- * Create a dot plot of enrichment results.
- * Publication-quality with proper size and color legends.
+ * Classic GSEA enrichment plot for one term: running enrichment score, hit positions,
+ * and the ranked metric.
+ * @param {Object} result - GSEA result (es, nes, pValue, fdr, hits, leadingEdge, size)
+ * @param {number[]} scores - ranking metric per position, descending (as ranked for the test)
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel] - name of the adjusted p-value (fdr field), e.g. 'q-value'
  */
-function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichment Dot Plot') {
-    const data = results.filter(r => r.fdr <= 1).slice(0, topN).reverse();
-    if (data.length === 0) return null;
+function createGSEAPlot(result, scores, palette = 'Default', title = 'Gene Set Enrichment', pLabel = 'FDR') {
+    const N = scores.length;
+    const hits = result.hits || [];
+    if (N === 0 || hits.length === 0) return null;
 
     const theme = document.documentElement.getAttribute('data-theme');
     const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
@@ -203,139 +994,120 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
     const axisColor = theme === 'dark' ? '#555555' : '#333333';
     const gridColor = theme === 'dark' ? '#333333' : '#e0e0e0';
     const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
-
-    const margin = { top: 50, right: 130, bottom: 58, left: 280 };
-    const rowH = 26;
-    const plotH = data.length * rowH;
-    const plotW = 380;
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+    const lineColor = palette === 'Default' ? (theme === 'dark' ? '#7fb3e0' : '#2166ac') : colorFn(0.75, theme);
+
+    const margin = { top: 62, right: 30, bottom: 46, left: 64 };
+    const plotW = 560;
+    const esH = 180;
+    const hitH = 34;
+    const metricH = 80;
+    const gap = 6;
     const width = margin.left + plotW + margin.right;
-    const height = margin.top + plotH + margin.bottom;
-
-    const maxFold = Math.max(...data.map(d => d.fold));
-    const xMax = niceMax(maxFold);
-    const maxGeneCount = Math.max(...data.map(d => d.geneCount));
-    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-300))));
+    const height = margin.top + esH + gap + hitH + gap + metricH + margin.bottom;
+    const xScale = (pos) => (N > 1 ? (pos / (N - 1)) * plotW : 0);
+
+    // Running sum, evaluated just before and just after every hit
+    const weights = scores.map(v => Math.abs(v));
+    let NR = 0;
+    for (const pos of hits) NR += weights[pos];
+    const missStep = 1 / Math.max(N - hits.length, 1);
+    const points = [[0, 0]];
+    let hitSum = 0;
+    hits.forEach((pos, j) => {
+        const misses = (pos - j) * missStep;
+        points.push([pos, hitSum - misses]);
+        hitSum += NR > 0 ? weights[pos] / NR : 1 / hits.length;
+        points.push([pos, hitSum - misses]);
+    });
+    points.push([N - 1, 0]);
 
-    const xScale = (v) => (v / xMax) * plotW;
-    const rScale = (v) => 3 + (v / Math.max(maxGeneCount, 1)) * 9;
+    const esMin = Math.min(0, ...points.map(p => p[1]));
+    const esMax = Math.max(0, ...points.map(p => p[1]));
+    const esPad = (esMax - esMin) * 0.08 || 0.1;
+    const yEs = (v) => esH - ((v - (esMin - esPad)) / ((esMax + esPad) - (esMin - esPad))) * esH;
 
     const svg = makeSVG(width, height);
-
     addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
 
     addText(svg, width / 2, 22, title, {
         size: '14px', weight: '700', fill: textColor, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
-
-    const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (FDR < 0.05)`, {
+    const fmt = (p) => (p < 0.001 ? p.toExponential(1) : p.toFixed(3));
+    addText(svg, width / 2, 38, truncLabel(result.description || result.term, 80), {
+        size: '11px', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(svg, width / 2, 52, `ES ${result.es.toFixed(3)} · NES ${result.nes.toFixed(3)} · p = ${fmt(result.pValue)} · ${pLabel} = ${fmt(result.fdr)} · leading edge ${result.leadingEdge.length}/${result.size}`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
 
-    const g = addGroup(svg, margin.left, margin.top);
-
-    // Gridlines
-    const ticks = niceTicksFor(0, xMax, 5);
-    for (const t of ticks) {
-        const x = xScale(t);
-        addLine(g, x, -3, x, plotH, gridColor, 0.5, '2,3');
-        addLine(g, x, plotH, x, plotH + 5, axisColor, 1);
-        addText(g, x, plotH + 18, formatTick(t), {
-            size: '10px', fill: textColor, anchor: 'middle',
+    // Panel 1: running enrichment score
+    const g1 = addGroup(svg, margin.left, margin.top);
+    for (const t of niceTicksFor(esMin, esMax, 4)) {
+        addLine(g1, 0, yEs(t), plotW, yEs(t), gridColor, 0.5, '2,3');
+        addLine(g1, -5, yEs(t), 0, yEs(t), axisColor, 1);
+        addText(g1, -8, yEs(t) + 1, t.toFixed(2), {
+            size: '9px', fill: textColor, anchor: 'end', baseline: 'middle',
             family: "'EB Garamond', Georgia, serif"
         });
     }
-
-    addText(svg, margin.left + plotW / 2, height - 10, 'Fold Enrichment', {
+    addLine(g1, 0, yEs(0), plotW, yEs(0), axisColor, 0.8);
+    const peak = points.reduce((best, p) => (Math.abs(p[1]) > Math.abs(best[1]) ? p : best), [0, 0]);
+    addLine(g1, xScale(peak[0]), 0, xScale(peak[0]), esH, textMuted, 0.8, '4,3');
+    addPolyline(g1, points.map(([x, y]) => [xScale(x), yEs(y)]), lineColor, 1.6);
+    addLine(g1, 0, 0, 0, esH, axisColor, 1.2);
+    addRect(g1, 0, 0, plotW, esH, 'none').setAttribute('stroke', axisColor);
+    const esLabel = addText(svg, 16, margin.top + esH / 2, 'Enrichment score', {
         size: '11px', fill: textColor, anchor: 'middle', weight: '500',
         family: "'EB Garamond', Georgia, serif"
     });
+    esLabel.setAttribute('transform', `rotate(-90, 16, ${margin.top + esH / 2})`);
 
-    // Horizontal gridlines for each term
-    for (let i = 0; i < data.length; i++) {
-        const y = i * rowH + rowH / 2;
-        addLine(g, 0, y, plotW, y, gridColor, 0.3);
+    // Panel 2: hit positions
+    const g2 = addGroup(svg, margin.left, margin.top + esH + gap);
+    const leading = new Set(result.leadingEdge.length > 0 ? hits.filter(pos => (result.es >= 0 ? pos <= peak[0] : pos >= peak[0])) : []);
+    for (const pos of hits) {
+        addLine(g2, xScale(pos), 2, xScale(pos), hitH - 2, leading.has(pos) ? lineColor : textColor, leading.has(pos) ? 1 : 0.6);
     }
-
-    // Dots
-    for (let i = 0; i < data.length; i++) {
-        const d = data[i];
-        const y = i * rowH + rowH / 2;
-        const x = xScale(d.fold);
-        const r = rScale(d.geneCount);
-
-        const logFDR = -Math.log10(Math.max(d.fdr, 1e-300));
-        const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
-        const colorFn = PALETTES[palette] || PALETTES['Default'];
-        const dotColor = colorFn(intensity, theme);
-
-        const c = addCircle(g, x, y, r, dotColor);
-        c.setAttribute('stroke', axisColor);
-        c.setAttribute('stroke-width', '0.5');
-
-        // Term label
-        const label = truncLabel(d.description, 42);
-        addText(g, -8, y + 1, label, {
-            size: '10px', fill: textColor, anchor: 'end', baseline: 'middle',
+    addRect(g2, 0, 0, plotW, hitH, 'none').setAttribute('stroke', axisColor);
+
+    // Panel 3: ranked metric, drawn as an area (one vertex per pixel column at most)
+    const g3 = addGroup(svg, margin.left, margin.top + esH + gap + hitH + gap);
+    const mMax = Math.max(Math.abs(scores[0]), Math.abs(scores[N - 1]), 1e-9);
+    const yM = (v) => metricH / 2 - (v / mMax) * (metricH / 2 - 4);
+    const step = Math.max(1, Math.floor(N / plotW));
+    const area = [[0, yM(0)]];
+    for (let i = 0; i < N; i += step) area.push([xScale(i), yM(scores[i])]);
+    area.push([xScale(N - 1), yM(scores[N - 1])], [xScale(N - 1), yM(0)]);
+    addPolyline(g3, area, 'none', 0, colorFn(0.45, theme));
+    addLine(g3, 0, yM(0), plotW, yM(0), axisColor, 0.8);
+    addRect(g3, 0, 0, plotW, metricH, 'none').setAttribute('stroke', axisColor);
+    for (const v of [mMax, 0, -mMax]) {
+        addText(g3, -8, yM(v) + 1, formatTick(Math.round(v * 100) / 100), {
+            size: '9px', fill: textColor, anchor: 'end', baseline: 'middle',
             family: "'EB Garamond', Georgia, serif"
         });
     }
-
-    // Axes
-    addLine(g, 0, -3, 0, plotH, axisColor, 1.2);
-    addLine(g, 0, plotH, plotW, plotH, axisColor, 1.2);
-
-    // ===== Legends =====
-    const legX = plotW + 18;
-
-    // Size legend
-    addText(g, legX, 0, 'Gene Count', {
-        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+    const mLabel = addText(svg, 16, margin.top + esH + gap + hitH + gap + metricH / 2, 'Score', {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500',
         family: "'EB Garamond', Georgia, serif"
     });
+    mLabel.setAttribute('transform', `rotate(-90, 16, ${margin.top + esH + gap + hitH + gap + metricH / 2})`);
 
-    const sizeLevels = maxGeneCount <= 3
-        ? Array.from({ length: maxGeneCount }, (_, i) => i + 1)
-        : [1, Math.ceil(maxGeneCount / 2), maxGeneCount];
-
-    for (let i = 0; i < sizeLevels.length; i++) {
-        const ly = 18 + i * 24;
-        const lr = rScale(sizeLevels[i]);
-        addCircle(g, legX + 10, ly, lr, 'none').setAttribute('stroke', axisColor);
-        addText(g, legX + 25, ly + 1, String(sizeLevels[i]), {
-            size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+    // X axis: rank
+    for (const t of niceTicksFor(0, N - 1, 5)) {
+        const x = xScale(t);
+        addLine(g3, x, metricH, x, metricH + 5, axisColor, 1);
+        addText(g3, x, metricH + 17, String(Math.round(t) + 1), {
+            size: '9px', fill: textColor, anchor: 'middle',
             family: "'EB Garamond', Georgia, serif"
         });
     }
-
-    // Color legend: −log₁₀(FDR) gradient
-    const colorLegY = 18 + sizeLevels.length * 24 + 14;
-    addText(g, legX, colorLegY, '−log\u2081\u2080(FDR)', {
-        size: '9px', fill: textColor, anchor: 'start', weight: '600',
-        family: "'EB Garamond', Georgia, serif"
-    });
-
-    const gradH = 60;
-    const gradW = 12;
-    const gradY = colorLegY + 10;
-    const gradSteps = 15;
-    for (let i = 0; i < gradSteps; i++) {
-        const frac = i / (gradSteps - 1);
-        const cy = gradY + frac * gradH;
-        const colorFn = PALETTES[palette] || PALETTES['Default'];
-        const color = colorFn(1 - frac, theme);
-        addRect(g, legX, cy, gradW, gradH / gradSteps + 1, color);
-    }
-    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
-
-    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
-        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
-        family: "'EB Garamond', Georgia, serif"
-    });
-    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
-        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+    addText(svg, margin.left + plotW / 2, height - 8, `Rank in ordered gene list (n = ${N})`, {
+        size: '11px', fill: textColor, anchor: 'middle', weight: '500',
         family: "'EB Garamond', Georgia, serif"
     });
 
@@ -344,6 +1116,15 @@ function createDotPlot(results, topN = 20, palette = 'Default', title = 'Enrichm
 
 // ===== SVG Helpers =====
 
+/**
+ * Tag a plotted shape or label with its term ID. app.js uses data-term for the term
+ * tooltip and for selecting the term in the results table.
+ */
+function markTerm(el, d) {
+    el.setAttribute('data-term', d.term);
+    return el;
+}
+
 function makeSVG(w, h) {
     const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
     svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
@@ -381,6 +1162,16 @@ function addLine(parent, x1, y1, x2, y2, stroke, width, dash) {
     return l;
 }
 
+function addPolyline(parent, points, stroke, width, fill) {
+    const p = document.createElementNS('http://www.w3.org/2000/svg', fill ? 'polygon' : 'polyline');
+    p.setAttribute('points', points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '));
+    p.setAttribute('fill', fill || 'none');
+    p.setAttribute('stroke', stroke);
+    p.setAttribute('stroke-width', width || 1);
+    parent.appendChild(p);
+    return p;
+}
+
 function addCircle(parent, cx, cy, r, fill) {
     const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
     c.setAttribute('cx', cx); c.setAttribute('cy', cy);
@@ -431,6 +1222,16 @@ function formatTick(v) {
     return v.toFixed(1);
 }
 
+/**
+ * Significance stars relative to the adjusted p-value cutoff: * ≤ cutoff, ** ≤ cutoff / 5,
+ * *** ≤ cutoff / 50 (the usual 0.05 / 0.01 / 0.001 at the default cutoff).
+ */
+function significanceStars(fdr, cutoff) {
+    if (fdr <= cutoff / 50) return '***';
+    if (fdr <= cutoff / 5) return '**';
+    return fdr <= cutoff ? '*' : '';
+}
+
 function truncLabel(str, max) {
     if (!str) return '';
     str = str.charAt(0).toUpperCase() + str.slice(1);
@@ -567,7 +1368,7 @@ function layoutDendrogram(root, maxHeight, plotW, rowH) {
  * Create a hierarchical clustering dendrogram of enriched terms.
  * Terms are clustered by Jaccard similarity of their gene sets.
  */
-function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enrichment Clustering') {
+function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enrichment Clustering', pLabel = 'FDR', fdrCutoff = 0.05) {
     // Filter to terms that have at least one gene (required for Jaccard distance)
     const data = results.filter(r => r.fdr <= 1 && r.genes && r.genes.length > 0).slice(0, topN);
     if (data.length < 2) return null;
@@ -618,8 +1419,8 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
         size: '14px', weight: '700', fill: textColor, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
-    const sigCount = data.filter(d => d.fdr < 0.05).length;
-    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (FDR < 0.05) · Clustered by gene overlap (Jaccard)`, {
+    const sigCount = data.filter(d => d.fdr <= fdrCutoff).length;
+    addText(svg, width / 2, 38, `Top ${data.length} terms · ${sigCount} significant (${pLabel} ≤ ${fdrCutoff}) · Clustered by gene overlap (Jaccard)`, {
         size: '10px', fill: textMuted, anchor: 'middle',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -645,6 +1446,7 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
         const c = addCircle(g, leaf.x + 4, leaf.y, 5, color);
         c.setAttribute('stroke', axisColor);
         c.setAttribute('stroke-width', '0.5');
+        markTerm(c, d);
 
         // Gene count badge
         addText(g, leaf.x + 14, leaf.y + 1, `${d.geneCount}`, {
@@ -654,22 +1456,15 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
 
         // Term description
         const label = truncLabel(d.description, 50);
-        addText(g, leaf.x + 30, leaf.y + 1, label, {
+        markTerm(addText(g, leaf.x + 30, leaf.y + 1, label, {
             size: '10px', fill: textColor, anchor: 'start', baseline: 'middle',
             family: "'EB Garamond', Georgia, serif"
-        });
+        }), d);
 
         // Significance marker
-        if (d.fdr < 0.001) {
-            addText(g, leaf.x + 30 + label.length * 5.5 + 4, leaf.y + 1, '***', {
-                size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle'
-            });
-        } else if (d.fdr < 0.01) {
-            addText(g, leaf.x + 30 + label.length * 5.5 + 4, leaf.y + 1, '**', {
-                size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle'
-            });
-        } else if (d.fdr < 0.05) {
-            addText(g, leaf.x + 30 + label.length * 5.5 + 4, leaf.y + 1, '*', {
+        const stars = significanceStars(d.fdr, fdrCutoff);
+        if (stars) {
+            addText(g, leaf.x + 30 + label.length * 5.5 + 4, leaf.y + 1, stars, {
                 size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle'
             });
         }
@@ -697,7 +1492,7 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     const gradH = Math.min(plotH * 0.4, 80);
     const gradW = 12;
 
-    addText(g, legX, legY - 6, '−log\u2081\u2080(FDR)', {
+    addText(g, legX, legY - 6, `−log\u2081\u2080(${pLabel})`, {
         size: '9px', fill: textColor, anchor: 'start', weight: '600',
         family: "'EB Garamond', Georgia, serif"
     });
@@ -723,4 +1518,193 @@ function createClusterTree(results, topN = 20, palette = 'Default', title = 'Enr
     return svg;
 }
 
-window.Plots = { createBarChart, createDotPlot, createClusterTree, PALETTES };
+// ===== Enrichment Map =====
+
+// Gene-set similarity measures for enrichment map edges
+const EMAP_MEASURES = {
+    jaccard: (shared, a, b) => shared / (a + b - shared),  // |A ∩ B| / |A ∪ B|
+    overlap: (shared, a, b) => shared / Math.min(a, b),    // |A ∩ B| / min(|A|, |B|)
+};
+
+/**
+ * Enrichment map (Merico et al., 2010): terms as nodes sized by gene count and
+ * colored by −log₁₀(pLabel), linked when their gene sets' similarity reaches the cutoff.
+ * Connected groups of terms are outlined and labeled with their most significant term.
+ * Nodes carry data-term like the other plots' term shapes.
+ * @param {Object[]} results - significant enrichment results (as filtered by the caller), most significant first
+ * @param {number} topN
+ * @param {string} palette
+ * @param {string} title
+ * @param {string} [pLabel]
+ * @param {Object} [options] - { measure: 'jaccard'|'overlap', cutoff (default 0.25), selected: term drawn outlined }
+ */
+function createEnrichmentMap(results, topN = 20, palette = 'Default', title = 'Enrichment Map', pLabel = 'FDR', options = {}) {
+    const data = results.filter(r => r.genes && r.genes.length > 0).slice(0, topN);
+    if (data.length === 0) return null;
+    const similarity = EMAP_MEASURES[options.measure] || EMAP_MEASURES.jaccard;
+    const cutoff = options.cutoff ?? 0.25;
+
+    const theme = document.documentElement.getAttribute('data-theme');
+    const textColor = theme === 'dark' ? '#d4d4d4' : '#1a1a1a';
+    const textMuted = theme === 'dark' ? '#888888' : '#666666';
+    const axisColor = theme === 'dark' ? '#555555' : '#333333';
+    const edgeColor = theme === 'dark' ? '#555555' : '#b0b0b0';
+    const hullColor = theme === 'dark' ? '#3a3a3a' : '#d8d8d8';
+    const bgColor = theme === 'dark' ? '#1a1a1a' : '#ffffff';
+
+    const maxGeneCount = Math.max(...data.map(d => d.geneCount));
+    const maxLogFDR = Math.max(...data.map(d => -Math.log10(Math.max(d.fdr, 1e-300))));
+    const colorFn = PALETTES[palette] || PALETTES['Default'];
+    const rScale = (v) => 6 + Math.sqrt(v / Math.max(maxGeneCount, 1)) * 14;
+
+    // Edges between terms whose gene sets are similar enough
+    const geneSets = data.map(d => new Set(d.genes));
+    const edges = [];
+    for (let i = 0; i < data.length; i++) {
+        for (let j = i + 1; j < data.length; j++) {
+            let shared = 0;
+            for (const g of geneSets[i]) if (geneSets[j].has(g)) shared++;
+            const sim = shared > 0 ? similarity(shared, geneSets[i].size, geneSets[j].size) : 0;
+            if (sim >= cutoff) edges.push({ source: i, target: j, sim, score: sim * 1000 });
+        }
+    }
+
+    // Clusters: connected components (union-find)
+    const parent = data.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    edges.forEach(e => { parent[find(e.source)] = find(e.target); });
+    const clusters = new Map();
+    data.forEach((_, i) => {
+        const root = find(i);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(i);
+    });
+
+    // Layout with the PPI network's force simulation, starting on a circle
+    const size = 600;
+    const nodes = data.map((d, i) => ({
+        id: i,
+        r: rScale(d.geneCount),
+        x: size / 2 + size * 0.3 * Math.cos((2 * Math.PI * i) / data.length),
+        y: size / 2 + size * 0.3 * Math.sin((2 * Math.PI * i) / data.length),
+        vx: 0, vy: 0,
+    }));
+    if (typeof window !== 'undefined' && window.PPINetwork && window.PPINetwork.runSimulationSync) {
+        window.PPINetwork.runSimulationSync(nodes, edges, size, size);
+    }
+
+    const margin = { top: 50, right: 150, bottom: 30, left: 40 };
+    const plotW = 640;
+    const plotH = 480;
+    const width = margin.left + plotW + margin.right;
+    const height = margin.top + plotH + margin.bottom;
+    const xs = nodes.map(n => n.x);
+    const ys = nodes.map(n => n.y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const pad = 60; // room for labels
+    const scale = Math.min((plotW - 2 * pad) / Math.max(maxX - minX, 1), (plotH - 2 * pad) / Math.max(maxY - minY, 1));
+    const px = (x) => pad + (x - minX) * scale + ((plotW - 2 * pad) - (maxX - minX) * scale) / 2;
+    const py = (y) => pad + (y - minY) * scale + ((plotH - 2 * pad) - (maxY - minY) * scale) / 2;
+
+    const svg = makeSVG(width, height);
+    addRect(svg, 0, 0, width, height, bgColor, 'plot-bg');
+
+    addText(svg, width / 2, 22, title, {
+        size: '14px', weight: '700', fill: textColor, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const multi = [...clusters.values()].filter(c => c.length > 1).length;
+    const measureName = options.measure === 'overlap' ? 'overlap coefficient' : 'Jaccard';
+    addText(svg, width / 2, 38, `${data.length} terms · ${edges.length} links (${measureName} ≥ ${cutoff}) · ${multi} clusters`, {
+        size: '10px', fill: textMuted, anchor: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    const g = addGroup(svg, margin.left, margin.top);
+
+    // Cluster outlines and labels (most significant member)
+    for (const members of clusters.values()) {
+        if (members.length < 2) continue;
+        const x0 = Math.min(...members.map(i => px(nodes[i].x) - nodes[i].r)) - 8;
+        const x1 = Math.max(...members.map(i => px(nodes[i].x) + nodes[i].r)) + 8;
+        const y0 = Math.min(...members.map(i => py(nodes[i].y) - nodes[i].r)) - 8;
+        const y1 = Math.max(...members.map(i => py(nodes[i].y) + nodes[i].r)) + 8;
+        const hull = addRect(g, x0, y0, x1 - x0, y1 - y0, 'none');
+        hull.setAttribute('rx', 10);
+        hull.setAttribute('stroke', hullColor);
+        hull.setAttribute('stroke-dasharray', '4,3');
+        const lead = members.reduce((best, i) => (data[i].fdr < data[best].fdr ? i : best), members[0]);
+        addText(g, (x0 + x1) / 2, y0 - 5, truncLabel(data[lead].description || data[lead].term, 40), {
+            size: '10px', fill: textColor, anchor: 'middle', weight: '700',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    }
+
+    for (const e of edges) {
+        const s = nodes[e.source];
+        const t = nodes[e.target];
+        addLine(g, px(s.x), py(s.y), px(t.x), py(t.y), edgeColor, 0.5 + e.sim * 4);
+    }
+
+    data.forEach((d, i) => {
+        const n = nodes[i];
+        const logFDR = -Math.log10(Math.max(d.fdr, 1e-300));
+        const intensity = maxLogFDR > 0 ? Math.min(logFDR / maxLogFDR, 1) : 0.5;
+        const c = addCircle(g, px(n.x), py(n.y), n.r, colorFn(intensity, theme));
+        const selected = d.term === options.selected;
+        c.setAttribute('stroke', selected ? textColor : axisColor);
+        c.setAttribute('stroke-width', selected ? '2.5' : '0.8');
+        markTerm(c, d);
+        addText(g, px(n.x), py(n.y) + n.r + 10, truncLabel(d.description || d.term, 24), {
+            size: '8px', fill: textMuted, anchor: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+    });
+
+    // ===== Legends =====
+    const legX = plotW + 18;
+    addText(g, legX, 0, 'Gene Count', {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const sizeLevels = maxGeneCount <= 3
+        ? Array.from({ length: maxGeneCount }, (_, i) => i + 1)
+        : [1, Math.ceil(maxGeneCount / 2), maxGeneCount];
+    let ly = 14;
+    for (const v of sizeLevels) {
+        ly += rScale(v);
+        addCircle(g, legX + 22, ly, rScale(v), 'none').setAttribute('stroke', axisColor);
+        addText(g, legX + 50, ly + 1, String(v), {
+            size: '9px', fill: textMuted, anchor: 'start', baseline: 'middle',
+            family: "'EB Garamond', Georgia, serif"
+        });
+        ly += rScale(v) + 6;
+    }
+
+    const colorLegY = ly + 14;
+    addText(g, legX, colorLegY, `−log\u2081\u2080(${pLabel})`, {
+        size: '9px', fill: textColor, anchor: 'start', weight: '600',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    const gradH = 60;
+    const gradW = 12;
+    const gradY = colorLegY + 10;
+    const gradSteps = 15;
+    for (let i = 0; i < gradSteps; i++) {
+        const frac = i / (gradSteps - 1);
+        addRect(g, legX, gradY + frac * gradH, gradW, gradH / gradSteps + 1, colorFn(1 - frac, theme));
+    }
+    addRect(g, legX, gradY, gradW, gradH, 'none').setAttribute('stroke', axisColor);
+    addText(g, legX + gradW + 4, gradY + 4, maxLogFDR.toFixed(1), {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+    addText(g, legX + gradW + 4, gradY + gradH, '0.0', {
+        size: '8px', fill: textMuted, anchor: 'start', baseline: 'middle',
+        family: "'EB Garamond', Georgia, serif"
+    });
+
+    return svg;
+}
+
+window.Plots = { createBarChart, createDivergingBarChart, createDotPlot, createHeatPlot, createCnetPlot, createCompareDotPlot, createTermHeatmap, createClusterTree, createEnrichmentMap, createGSEAPlot, EMAP_MEASURES, PALETTES };
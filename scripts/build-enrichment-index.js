@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * geneRelate — Build precomputed enrichment background indexes.
+ *
+ * For every species directory under data/, writes go_index.json (from go.json) and
+ * kegg_index.json (from kegg_pathways.json) in the compact format decoded by
+ * decodeBackgroundIndex() in enrichment.js. Re-run after updating species data.
+ *
+ * Usage: node scripts/build-enrichment-index.js [data-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// enrichment.js registers itself on `self` (window in the browser)
+global.self = global;
+require('../enrichment.js');
+const { buildGOBackground, buildKEGGBackground, encodeBackgroundIndex } = global.Enrichment;
+
+const dataDir = path.resolve(process.argv[2] || path.join(__dirname, '..', 'data'));
+
+function readJSON(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeIndex(file, index) {
+    fs.writeFileSync(file, JSON.stringify(index));
+    const kb = Math.round(fs.statSync(file).size / 1024);
+    console.log(`  ${path.basename(file)}: ${index.members.length} members, ${index.terms.length} terms, ${kb} KB`);
+}
+
+const taxids = fs.readdirSync(dataDir).filter(d => /^\d+$/.test(d)).sort();
+for (const taxid of taxids) {
+    const dir = path.join(dataDir, taxid);
+    console.log(taxid);
+
+    const go = readJSON(path.join(dir, 'go.json'));
+    if (go) writeIndex(path.join(dir, 'go_index.json'), encodeBackgroundIndex(buildGOBackground(go), 'go'));
+    else console.log('  no go.json, skipped');
+
+    const keggPathways = readJSON(path.join(dir, 'kegg_pathways.json'));
+    if (keggPathways && keggPathways.gene_pathways) {
+        writeIndex(path.join(dir, 'kegg_index.json'), encodeBackgroundIndex(buildKEGGBackground(keggPathways), 'kegg'));
+    } else {
+        console.log('  no kegg_pathways.json, skipped');
+    }
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * geneRelate — Build the GO DAG used for annotation propagation.
+ *
+ * Converts go-basic.obo (https://purl.obolibrary.org/obo/go/go-basic.obo) into
+ * data/go_dag.json, keeping is_a and part_of edges. When species go.json files are
+ * present, only their annotated terms and those terms' ancestors are kept. Without a
+ * local file the current release is downloaded. Exits non-zero when no DAG could be
+ * built, so a deploy that runs it fails instead of shipping without one.
+ *
+ * Usage: node scripts/build-go-dag.js [go-basic.obo | URL] [data-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const NAMESPACES = { biological_process: 'P', molecular_function: 'F', cellular_component: 'C' };
+
+const GO_BASIC_URL = 'https://purl.obolibrary.org/obo/go/go-basic.obo';
+
+const oboSource = process.argv[2] || GO_BASIC_URL;
+const dataDir = path.resolve(process.argv[3] || path.join(__dirname, '..', 'data'));
+
+async function readOBO(source) {
+    if (!/^https?:\/\//.test(source)) return fs.readFileSync(source, 'utf8');
+    console.log(`Downloading ${source}`);
+    const resp = await fetch(source);
+    if (!resp.ok) throw new Error(`${source}: HTTP ${resp.status}`);
+    return await resp.text();
+}
+
+function parseOBO(text) {
+    let dataVersion = null;
+    const terms = {};
+    let current = null;
+
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (line.startsWith('[')) {
+            current = line === '[Term]' ? { isA: [], partOf: [] } : null;
+            continue;
+        }
+        const sep = line.indexOf(': ');
+        if (sep < 0) continue;
+        const key = line.slice(0, sep);
+        const value = line.slice(sep + 2).replace(/\s+!.*$/, '');
+
+        if (!current) {
+            if (key === 'data-version') dataVersion = value;
+            continue;
+        }
+        if (key === 'id') {
+            current.id = value;
+            terms[value] = current;
+        } else if (key === 'name') current.name = value;
+        else if (key === 'namespace') current.ns = NAMESPACES[value];
+        else if (key === 'is_a') current.isA.push(value.split(' ')[0]);
+        else if (key === 'relationship' && value.startsWith('part_of ')) current.partOf.push(value.split(' ')[1]);
+        else if (key === 'is_obsolete' && value === 'true') current.obsolete = true;
+    }
+    return { dataVersion, terms };
+}
+
+/** GO terms referenced by any species go.json, or null if there are none. */
+function collectAnnotatedTerms() {
+    const used = new Set();
+    for (const taxid of fs.readdirSync(dataDir).filter(d => /^\d+$/.test(d))) {
+        const file = path.join(dataDir, taxid, 'go.json');
+        if (!fs.existsSync(file)) continue;
+        const go = JSON.parse(fs.readFileSync(file, 'utf8'));
+        for (const annotations of Object.values(go)) {
+            for (const t of annotations || []) if (t && t.term) used.add(t.term);
+        }
+    }
+    return used.size > 0 ? used : null;
+}
+
+async function build() {
+    const { dataVersion, terms } = parseOBO(await readOBO(oboSource));
+
+    let keep = new Set(Object.keys(terms).filter(id => !terms[id].obsolete));
+    const annotated = collectAnnotatedTerms();
+    if (annotated) {
+        keep = new Set();
+        const stack = [...annotated].filter(id => terms[id]);
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (keep.has(id)) continue;
+            keep.add(id);
+            stack.push(...terms[id].isA, ...terms[id].partOf);
+        }
+    }
+
+    const out = {};
+    for (const id of [...keep].sort()) {
+        const t = terms[id];
+        if (!t || !t.ns) continue;
+        out[id] = [t.name, t.ns, t.isA.filter(p => keep.has(p)), t.partOf.filter(p => keep.has(p))];
+    }
+
+    if (Object.keys(out).length === 0) throw new Error(`${oboSource} holds no GO terms`);
+
+    const dag = { format: 'generelate-go-dag', version: 1, dataVersion, terms: out };
+    const outFile = path.join(dataDir, 'go_dag.json');
+    fs.writeFileSync(outFile, JSON.stringify(dag));
+    console.log(`${outFile}: ${Object.keys(out).length} terms (${dataVersion || 'unknown version'})${annotated ? ', annotated subset' : ''}`);
+}
+
+build().catch(err => {
+    console.error(`GO DAG not built: ${err.message}`);
+    process.exit(1);
+});
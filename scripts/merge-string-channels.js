@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * geneRelate — Merge STRING evidence-channel subscores into a species' ppi.json.
+ *
+ * Reads STRING's protein.links.detailed file for one species (plain or gzipped) and adds
+ * each interaction's channel subscores to data/<taxid>/ppi.json as `c`, in the order of
+ * PPI_CHANNELS in network.js: { p, s, c: [experiments, database, coexpression, textmining,
+ * neighborhood, fusion, cooccurrence] }. Interactions missing from the file are left as is.
+ *
+ * Usage: node scripts/merge-string-channels.js <taxid> <protein.links.detailed.txt[.gz]> [data-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+// network.js registers itself on `window` in the browser
+global.window = global;
+require('../network.js');
+const { PPI_CHANNELS } = global.PPINetwork;
+
+const [taxid, linksFile] = process.argv.slice(2, 4);
+const dataDir = path.resolve(process.argv[4] || path.join(__dirname, '..', 'data'));
+if (!taxid || !linksFile) {
+    console.error('Usage: node scripts/merge-string-channels.js <taxid> <protein.links.detailed.txt[.gz]> [data-dir]');
+    process.exit(1);
+}
+
+function readJSON(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+const dir = path.join(dataDir, taxid);
+const ppiFile = path.join(dir, 'ppi.json');
+const ppi = readJSON(ppiFile);
+if (!ppi) {
+    console.error(`${ppiFile} not found`);
+    process.exit(1);
+}
+
+// STRING IDs are "<taxid>.<protein>"; proteins not keyed that way in ppi.json are found through aliases.json
+const aliasToPid = {};
+for (const [pid, aliases] of Object.entries(readJSON(path.join(dir, 'aliases.json')) || {})) {
+    for (const a of aliases || []) if (!(a in aliasToPid)) aliasToPid[a] = pid;
+}
+function resolveStringId(id) {
+    const bare = id.slice(id.indexOf('.') + 1);
+    if (ppi[bare]) return bare;
+    return aliasToPid[bare] || aliasToPid[id] || null;
+}
+
+const entries = new Map();
+let total = 0;
+for (const [pid, interactions] of Object.entries(ppi)) {
+    for (const i of interactions) {
+        entries.set(`${pid}|${i.p}`, i);
+        total++;
+    }
+}
+
+async function merge() {
+    let input = fs.createReadStream(linksFile);
+    if (linksFile.endsWith('.gz')) input = input.pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let columns = null;
+    let merged = 0;
+    for await (const line of lines) {
+        const fields = line.trim().split(/\s+/);
+        if (!columns) {
+            columns = PPI_CHANNELS.map(c => fields.indexOf(c.column));
+            const missing = PPI_CHANNELS.filter((c, k) => columns[k] < 0).map(c => c.column);
+            if (missing.length > 0) throw new Error(`${linksFile} has no ${missing.join(', ')} column(s); expected a protein.links.detailed file`);
+            continue;
+        }
+        const a = resolveStringId(fields[0]);
+        const b = resolveStringId(fields[1]);
+        const entry = a && b && entries.get(`${a}|${b}`);
+        if (!entry) continue;
+        entry.c = columns.map(k => parseInt(fields[k], 10) || 0);
+        merged++;
+    }
+    return merged;
+}
+
+merge().then(merged => {
+    fs.writeFileSync(ppiFile, JSON.stringify(ppi));
+    console.log(`${ppiFile}: channel subscores for ${merged} of ${total} interactions`);
+}).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+});
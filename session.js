@@ -0,0 +1,373 @@
+/**
+ * geneRelate — Session Persistence
+ * Encodes the full analysis state into shareable URLs, keeps named sessions
+ * in browser storage (localStorage, IndexedDB for large results), and reads
+ * and writes self-contained JSON project files.
+ * No external dependencies.
+ */
+
+// ===== Compression =====
+
+// Gene lists longer than this (in characters) are deflated before going into the URL
+const URL_COMPRESS_THRESHOLD = 300;
+
+function canCompress() {
+    return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+function bytesToBase64Url(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(str) {
+    const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '==='.slice((b64.length + 3) % 4));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+}
+
+async function deflateText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function inflateText(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return await new Response(stream).text();
+}
+
+// ===== URL State =====
+
+// Gene lists go under `key`, or `key + 'z'` when deflated
+async function setListParam(params, key, list) {
+    const text = list.join(',');
+    if (text.length > URL_COMPRESS_THRESHOLD && canCompress()) {
+        params.set(`${key}z`, bytesToBase64Url(await deflateText(text)));
+    } else {
+        params.set(key, text);
+    }
+}
+
+/** @returns {Promise<string[]|null>} the list, or null if it cannot be decompressed */
+async function getListParam(params, key) {
+    let text = params.get(key) || '';
+    if (params.has(`${key}z`)) {
+        if (!canCompress()) {
+            console.warn('This browser cannot decompress the gene list in the shared link.');
+            return null;
+        }
+        try {
+            text = await inflateText(base64UrlToBytes(params.get(`${key}z`)));
+        } catch (err) {
+            console.warn('Failed to decompress shared gene list:', err);
+            return null;
+        }
+    }
+    return text.split(',').map(g => g.trim()).filter(Boolean);
+}
+
+/**
+ * Encode an analysis state into a URL hash (without the leading '#').
+ * @param {Object} s - { source, mode ('list'|'ranked'; ranked genes are 'gene\tscore'), genes[], background[], propagate, goMethod, goView ('measure:threshold' when reduced), emap ('measure:cutoff'), filters ({key->value}, non-default result filters only), pAdjust, alternative, domainCategory, compareDb, conservationDb ('go'|'kegg'), networkDepth (1|2), networkMaxPartners, networkInduced, ppiChannels (null = all), networkHubMetric, networkSizeBy, networkModules, targets[], threshold, tab, plotType, topN: {type->n}, palette: {type->name} }
+ * @returns {Promise<string>}
+ */
+async function encodeStateToHash(s) {
+    const params = new URLSearchParams();
+    params.set('sp', s.source);
+    if (s.mode === 'ranked') params.set('m', 'ranked');
+    await setListParam(params, 'g', s.genes || []);
+    if (s.background && s.background.length > 0) await setListParam(params, 'bg', s.background);
+
+    if (s.propagate === false) params.set('prop', '0');
+    if (s.goMethod && s.goMethod !== 'classic') params.set('gm', s.goMethod);
+    if (s.goView) params.set('gv', s.goView);
+    if (s.emap && s.emap !== 'jaccard:0.25') params.set('em', s.emap);
+    for (const [key, value] of Object.entries(s.filters || {})) params.set(`f.${key}`, String(value));
+    if (s.pAdjust && s.pAdjust !== 'BH') params.set('pa', s.pAdjust);
+    if (s.alternative && s.alternative !== 'greater') params.set('alt', s.alternative);
+    if (s.domainCategory) params.set('dc', s.domainCategory);
+    if (s.compareDb && s.compareDb !== 'go') params.set('cdb', s.compareDb);
+    if (s.conservationDb && s.conservationDb !== 'go') params.set('xdb', s.conservationDb);
+    if (s.networkDepth === 2) params.set('nd', '2');
+    if (s.networkMaxPartners && s.networkMaxPartners !== 10) params.set('nm', String(s.networkMaxPartners));
+    if (s.networkInduced) params.set('ni', '1');
+    if (s.ppiChannels && s.ppiChannels.length > 0) params.set('ev', s.ppiChannels.join(','));
+    if (s.networkHubMetric && s.networkHubMetric !== 'degree') params.set('nh', s.networkHubMetric);
+    if (s.networkSizeBy) params.set('ns', s.networkSizeBy);
+    if (s.networkModules) params.set('nc', '1');
+    if (s.targets && s.targets.length > 0) params.set('t', s.targets.join(','));
+    if (s.threshold) params.set('th', String(s.threshold));
+    if (s.tab) params.set('tab', s.tab);
+    if (s.plotType) params.set('plot', s.plotType);
+    for (const [type, n] of Object.entries(s.topN || {})) params.set(`top.${type}`, String(n));
+    for (const [type, name] of Object.entries(s.palette || {})) params.set(`pal.${type}`, name);
+
+    return params.toString();
+}
+
+/**
+ * Decode a URL hash produced by encodeStateToHash().
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Promise<Object|null>} analysis state, or null if the hash holds no analysis
+ */
+async function decodeStateFromHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const source = params.get('sp');
+    if (!source) return null;
+
+    const genes = await getListParam(params, 'g');
+    if (!genes || genes.length === 0) return null;
+    const background = await getListParam(params, 'bg');
+    if (!background) return null;
+
+    const s = {
+        source,
+        mode: params.get('m') === 'ranked' ? 'ranked' : 'list',
+        genes,
+        background,
+        propagate: params.get('prop') !== '0',
+        goMethod: params.get('gm') || 'classic',
+        goView: params.get('gv') || null,
+        emap: params.get('em') || null,
+        pAdjust: params.get('pa') || 'BH',
+        alternative: params.get('alt') || 'greater',
+        domainCategory: params.get('dc') || null,
+        compareDb: params.get('cdb') || 'go',
+        conservationDb: params.get('xdb') || 'go',
+        networkDepth: params.get('nd') === '2' ? 2 : 1,
+        networkMaxPartners: parseInt(params.get('nm'), 10) || 10,
+        networkInduced: params.get('ni') === '1',
+        ppiChannels: params.get('ev') ? params.get('ev').split(',').filter(Boolean) : null,
+        networkHubMetric: params.get('nh') || 'degree',
+        networkSizeBy: params.get('ns') || null,
+        networkModules: params.get('nc') === '1',
+        targets: (params.get('t') || '').split(',').filter(Boolean),
+        threshold: parseInt(params.get('th'), 10) || null,
+        tab: params.get('tab') || null,
+        plotType: params.get('plot') || null,
+        filters: {},
+        topN: {},
+        palette: {},
+    };
+    for (const [key, value] of params.entries()) {
+        if (key.startsWith('top.')) {
+            const n = parseInt(value, 10);
+            if (Number.isFinite(n) && n > 0) s.topN[key.slice(4)] = n;
+        } else if (key.startsWith('pal.')) {
+            s.palette[key.slice(4)] = value;
+        } else if (key.startsWith('f.')) {
+            const v = parseFloat(value);
+            if (Number.isFinite(v)) s.filters[key.slice(2)] = v;
+        }
+    }
+    return s;
+}
+
+// ===== Saved Sessions =====
+
+// The session index (names, inputs) always lives in localStorage; result payloads
+// above this size (in characters of JSON) go to IndexedDB instead. Loaded gene set
+// files travel with the payload, the index only names them.
+const SESSION_INDEX_KEY = 'gr-sessions';
+const SESSION_PAYLOAD_PREFIX = 'gr-session:';
+const LOCAL_PAYLOAD_LIMIT = 500000;
+
+const IDB_NAME = 'geneRelate';
+const IDB_STORE = 'sessions';
+
+function openSessionDB() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB is not available'));
+        const req = indexedDB.open(IDB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE, { keyPath: 'id' });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+async function idbRequest(mode, fn) {
+    const db = await openSessionDB();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(IDB_STORE, mode);
+            const req = fn(tx.objectStore(IDB_STORE));
+            tx.oncomplete = () => resolve(req.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function readSessionIndex() {
+    try {
+        const list = JSON.parse(localStorage.getItem(SESSION_INDEX_KEY) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (err) {
+        console.warn('Corrupt session index, ignoring:', err);
+        return [];
+    }
+}
+
+function writeSessionIndex(list) {
+    localStorage.setItem(SESSION_INDEX_KEY, JSON.stringify(list));
+}
+
+async function removeSessionPayload(entry) {
+    if (entry.storage === 'idb') {
+        await idbRequest('readwrite', store => store.delete(entry.id));
+    } else {
+        localStorage.removeItem(SESSION_PAYLOAD_PREFIX + entry.id);
+    }
+}
+
+/**
+ * List saved sessions, most recent first.
+ * @returns {Object[]} [{ id, name, savedAt, storage, state, geneSets: { file, sets } | null }]
+ */
+function listSessions() {
+    return readSessionIndex().sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Save an analysis under a name. Results too large for localStorage are kept in IndexedDB.
+ * @param {string} name
+ * @param {Object} analysisState - as produced by getAnalysisState() in app.js
+ * @param {Object} results - computed results to restore without recomputation
+ * @returns {Promise<Object>} the new index entry
+ */
+async function saveSession(name, analysisState, results) {
+    const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const { geneSets, ...indexState } = analysisState;
+    const payload = JSON.stringify({ results, geneSets: geneSets || null });
+    let storage = 'local';
+
+    if (payload.length <= LOCAL_PAYLOAD_LIMIT) {
+        try {
+            localStorage.setItem(SESSION_PAYLOAD_PREFIX + id, payload);
+        } catch (err) {
+            storage = 'idb'; // quota exceeded
+        }
+    } else {
+        storage = 'idb';
+    }
+    if (storage === 'idb') {
+        await idbRequest('readwrite', store => store.put({ id, payload }));
+    }
+
+    const entry = {
+        id, name, savedAt: Date.now(), storage, state: indexState,
+        geneSets: geneSets ? { file: geneSets.file, sets: geneSets.sets.length } : null,
+    };
+    const list = readSessionIndex();
+    list.push(entry);
+    try {
+        writeSessionIndex(list);
+    } catch (err) {
+        // A payload without an index entry could never be loaded or deleted
+        await removeSessionPayload(entry).catch(e => console.warn('Could not remove orphaned session payload:', e));
+        throw err;
+    }
+    return entry;
+}
+
+/**
+ * Load a saved session with its results.
+ * @returns {Promise<Object|null>} { ...entry, results } or null if not found; entry.state
+ *   holds the gene sets again, as passed to saveSession()
+ */
+async function loadSession(id) {
+    const entry = readSessionIndex().find(e => e.id === id);
+    if (!entry) return null;
+
+    let payload = null;
+    if (entry.storage === 'idb') {
+        const rec = await idbRequest('readonly', store => store.get(id));
+        payload = rec ? rec.payload : null;
+    } else {
+        payload = localStorage.getItem(SESSION_PAYLOAD_PREFIX + id);
+    }
+    const data = payload ? JSON.parse(payload) : null;
+    // Sessions saved before gene sets moved out of the index store the bare results
+    if (!('geneSets' in entry)) return { ...entry, results: data };
+    return { ...entry, state: { ...entry.state, geneSets: data ? data.geneSets : null }, results: data ? data.results : null };
+}
+
+function renameSession(id, name) {
+    const list = readSessionIndex();
+    const entry = list.find(e => e.id === id);
+    if (!entry) return;
+    entry.name = name;
+    writeSessionIndex(list);
+}
+
+async function deleteSession(id) {
+    const list = readSessionIndex();
+    const entry = list.find(e => e.id === id);
+    if (!entry) return;
+    await removeSessionPayload(entry);
+    writeSessionIndex(list.filter(e => e.id !== id));
+}
+
+// ===== Project Files =====
+
+const PROJECT_FORMAT = 'generelate-project';
+const PROJECT_VERSION = 1;
+
+/**
+ * Wrap analysis parts into a versioned project object.
+ * @param {Object} parts - { metadata, inputs, resolvedGenes, orthologs, ppi, enrichment, species, phylogeny }
+ */
+function createProject(parts) {
+    const metadata = parts.metadata || {};
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        exportedAt: new Date().toISOString(),
+        toolVersion: metadata.tool_version || null,
+        databases: metadata.databases || {},
+        downloadDate: metadata.download_date || null,
+        inputs: parts.inputs,
+        resolvedGenes: parts.resolvedGenes,
+        orthologs: parts.orthologs,
+        ppi: parts.ppi,
+        enrichment: parts.enrichment,
+        species: parts.species,
+        phylogeny: parts.phylogeny,
+    };
+}
+
+/**
+ * Parse and validate a project file.
+ * @param {string} text - file contents
+ * @returns {Object} project
+ * @throws {Error} if the file is not a readable geneRelate project
+ */
+function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (err) {
+        throw new Error('file is not valid JSON');
+    }
+    if (!project || project.format !== PROJECT_FORMAT) {
+        throw new Error('not a geneRelate project file');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`project version ${project.version} is newer than this tool supports`);
+    }
+    if (!project.inputs || !project.inputs.source || !Array.isArray(project.resolvedGenes)
+        || !project.enrichment || !project.species || !project.species[project.inputs.source]) {
+        throw new Error('project file is incomplete');
+    }
+    return project;
+}
+
+window.Session = {
+    encodeStateToHash, decodeStateFromHash,
+    listSessions, saveSession, loadSession, renameSession, deleteSession,
+    createProject, parseProject,
+};